@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-const {IgniteClient, IgniteClientConfiguration} = require('@gridgain/thin-client');
+const {IgniteClient, IgniteClientConfiguration, ReconnectPolicy, RetryPolicy} = require('@gridgain/thin-client');
 
 const ENDPOINT1 = 'localhost:10800';
 const ENDPOINT2 = 'localhost:10801';
@@ -24,13 +24,17 @@ const ENDPOINT3 = 'localhost:10802';
 // - configures the client to connect to a set of nodes
 // - connects to a node
 // - if connection is broken, the client automatically tries to reconnect to another node
-// - if no specified nodes are available, stops the client
+// - if no specified nodes are available, retries the connection with growing delays
+// - read operations failed because of the connection loss are retried after the reconnection
+// - if the nodes are not available after all attempts, stops the client
 async function connectClient() {
     const igniteClient = new IgniteClient(onStateChanged);
     igniteClient.setDebug(true);
     try {
         const igniteClientConfiguration = new IgniteClientConfiguration(
-            ENDPOINT1, ENDPOINT2, ENDPOINT3);
+            ENDPOINT1, ENDPOINT2, ENDPOINT3).
+            setReconnectPolicy(new ReconnectPolicy().setMaxAttempts(5).setMaxDelay(5000)).
+            setRetryPolicy(new RetryPolicy());
         // connect to a GridGain node
         await igniteClient.connect(igniteClientConfiguration);
     }
@@ -0,0 +1,152 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClientConfiguration, ObjectType, ComplexObjectType, BinaryObject,
+    BinaryBasicIdMapper, BinaryBasicNameMapper} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+class TestMappedClass {
+    constructor(id = null, name = null) {
+        this.id = id;
+        this.name = name;
+    }
+}
+
+describe('binary mappers test suite >', () => {
+    let igniteClient = null;
+    const idMapper = new BinaryBasicIdMapper(false);
+    const nameMapper = new BinaryBasicNameMapper(true);
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly();
+                igniteClient = TestingHelper.makeClient();
+                await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setBinaryIdMapper(idMapper).
+                    setBinaryNameMapper(nameMapper));
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await igniteClient.destroyCache(CACHE_NAME);
+                igniteClient.disconnect();
+                await TestingHelper.stopTestServers();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('built-in mappers', (done) => {
+        Promise.resolve().
+            then(async () => {
+                // The same ids as calculated by Java mappers
+                expect(new BinaryBasicIdMapper().typeId('Order')).toBe(106006350);
+                expect(new BinaryBasicIdMapper().fieldId(106006350, 'Name')).toBe(3373707);
+                expect(new BinaryBasicIdMapper(false).typeId('Order')).toBe(76453678);
+                expect(new BinaryBasicNameMapper().typeName('com.acme.Order')).toBe('com.acme.Order');
+                expect(new BinaryBasicNameMapper(true).typeName('com.acme.Order')).toBe('Order');
+                expect(new BinaryBasicNameMapper(true).typeName('com.acme.Order$Item')).toBe('Item');
+                expect(new BinaryBasicNameMapper(true).fieldName('Name')).toBe('Name');
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('put get with mappers', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME).
+                    setValueType(new ComplexObjectType(new TestMappedClass(), 'com.acme.TestMappedClass').
+                        setFieldType('id', ObjectType.PRIMITIVE_TYPE.INTEGER));
+                await cache.put(1, new TestMappedClass(1, 'name1'));
+                expect(await cache.get(1)).toEqual(new TestMappedClass(1, 'name1'));
+                const binaryObject = await igniteClient.getCache(CACHE_NAME).get(1);
+                expect(binaryObject instanceof BinaryObject).toBe(true);
+                expect(binaryObject.getTypeName()).toBe('TestMappedClass');
+                expect(await binaryObject.getField('name')).toBe('name1');
+                const type = igniteClient.binary().types().find(t => t.getTypeName() === 'TestMappedClass');
+                expect(type).toBeDefined();
+                expect(type.getTypeId()).toBe(idMapper.typeId('TestMappedClass'));
+                // The full name is registered, so that the objects are deserialized into Java classes
+                expect(await igniteClient.binary().getTypeName(type.getTypeId())).toBe('com.acme.TestMappedClass');
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('put get by clients with different mappers', (done) => {
+        Promise.resolve().
+            then(async () => {
+                // The client with the default mappers is connected after the client with the custom mappers
+                const defaultClient = TestingHelper.makeClient();
+                await defaultClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)));
+                try {
+                    const valueType = new ComplexObjectType(new TestMappedClass(), 'com.acme.TestMappedClass').
+                        setFieldType('id', ObjectType.PRIMITIVE_TYPE.INTEGER);
+                    const cache = igniteClient.getCache(CACHE_NAME).setValueType(valueType);
+                    const defaultCache = defaultClient.getCache(CACHE_NAME).setValueType(valueType);
+                    await cache.put(1, new TestMappedClass(1, 'name1'));
+                    await defaultCache.put(2, new TestMappedClass(2, 'name2'));
+                    expect(await cache.get(1)).toEqual(new TestMappedClass(1, 'name1'));
+                    expect(await defaultCache.get(2)).toEqual(new TestMappedClass(2, 'name2'));
+                    const binaryObject = await igniteClient.getCache(CACHE_NAME).get(1);
+                    expect(binaryObject.getTypeName()).toBe('TestMappedClass');
+                    const defaultBinaryObject = await defaultClient.getCache(CACHE_NAME).get(2);
+                    expect(defaultBinaryObject.getTypeName()).toBe('com.acme.TestMappedClass');
+                    // The object created without a client gets the ids of the client it is written by
+                    const newBinaryObject = await BinaryObject.fromObject(new TestMappedClass(3, 'name3'), valueType);
+                    await igniteClient.getCache(CACHE_NAME).put(3, newBinaryObject);
+                    expect(newBinaryObject.getTypeName()).toBe('TestMappedClass');
+                    expect(await cache.get(3)).toEqual(new TestMappedClass(3, 'name3'));
+                    await cache.clear();
+                }
+                finally {
+                    defaultClient.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set mapper with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                        setBinaryIdMapper({ typeId: () => 0 });
+                    done.fail('mapper without fieldId method is set');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,108 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {ObjectType, ComplexObjectType} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+class TestBinaryClass {
+    constructor(id = null, name = null) {
+        this.id = id;
+        this.name = name;
+    }
+}
+
+describe('binary types test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('register and get type name', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const binary = igniteClient.binary();
+                await binary.registerTypeName(123456, 'com.acme.TestRegisteredClass');
+                expect(await binary.getTypeName(123456)).toBe('com.acme.TestRegisteredClass');
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('type name is registered on write', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME).
+                    setValueType(new ComplexObjectType(new TestBinaryClass(), 'com.acme.TestBinaryClass').
+                        setFieldType('id', ObjectType.PRIMITIVE_TYPE.INTEGER));
+                await cache.put(1, new TestBinaryClass(1, 'name1'));
+                const type = igniteClient.binary().types().find(t => t.getTypeName() === 'com.acme.TestBinaryClass');
+                expect(type).toBeDefined();
+                expect(await igniteClient.binary().getTypeName(type.getTypeId())).toBe('com.acme.TestBinaryClass');
+                expect(type.getFields()).toEqual(new Map([
+                    ['id', ObjectType.PRIMITIVE_TYPE.INTEGER],
+                    ['name', ObjectType.PRIMITIVE_TYPE.STRING]]));
+                expect([...type.getSchemas().values()]).toEqual([['id', 'name']]);
+                expect(type.isEnum()).toBe(false);
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('register type name with wrong args', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.binary().registerTypeName('123456', 'com.acme.TestRegisteredClass');
+                    done.fail('type name is registered with wrong type id');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
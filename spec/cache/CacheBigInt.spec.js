@@ -0,0 +1,111 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClientConfiguration, ObjectType, BinaryObject, SqlFieldsQuery, CacheConfiguration} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+const TABLE_NAME = '__test_BigInt_table';
+// Exceeds the maximal safe integer of JavaScript numbers
+const BIG_VALUE = BigInt(Number.MAX_SAFE_INTEGER) + BigInt(2);
+
+describe('cache BigInt values test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly();
+                igniteClient = TestingHelper.makeClient();
+                await igniteClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setLongRepresentation(IgniteClientConfiguration.LONG_REPRESENTATION.BIGINT));
+                await igniteClient.getOrCreateCache(CACHE_NAME, new CacheConfiguration().setSqlSchema('PUBLIC'));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await igniteClient.destroyCache(CACHE_NAME);
+                igniteClient.disconnect();
+                await TestingHelper.stopTestServers();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('put get BigInt key and value', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                await cache.put(BIG_VALUE, -BIG_VALUE);
+                expect(await cache.get(BIG_VALUE)).toBe(-BIG_VALUE);
+                await cache.put(1, [BIG_VALUE, BigInt(1)]);
+                expect(await cache.get(1)).toEqual([BIG_VALUE, BigInt(1)]);
+                // Numbers of LONG type are read as BigInt
+                const longCache = igniteClient.getCache(CACHE_NAME).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.LONG).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.LONG);
+                await longCache.put(2, 3);
+                expect(await longCache.get(BigInt(2))).toBe(BigInt(3));
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get BigInt field of binary object', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                const binaryObject = new BinaryObject('TestBigIntClass');
+                binaryObject.setField('id', BIG_VALUE);
+                await cache.put(1, binaryObject);
+                const result = await cache.get(1);
+                expect(await result.getField('id')).toBe(BIG_VALUE);
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get BigInt values of sql fields query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                await (await cache.query(new SqlFieldsQuery(
+                    `CREATE TABLE IF NOT EXISTS ${TABLE_NAME} (id BIGINT PRIMARY KEY, val BIGINT)`))).getAll();
+                try {
+                    await (await cache.query(new SqlFieldsQuery(
+                        `INSERT INTO ${TABLE_NAME} (id, val) VALUES (?, ?)`).setArgs(BIG_VALUE, -BIG_VALUE))).getAll();
+                    const rows = await (await cache.query(new SqlFieldsQuery(
+                        `SELECT id, val FROM ${TABLE_NAME}`))).getAll();
+                    expect(rows).toEqual([[BIG_VALUE, -BIG_VALUE]]);
+                }
+                finally {
+                    await (await cache.query(new SqlFieldsQuery(`DROP TABLE ${TABLE_NAME}`))).getAll();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,150 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, CacheClient, ObjectType} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('cache expiry policy test suite >', () => {
+    let igniteClient = null;
+    let cache = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                cache = (await igniteClient.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.removeAll();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('expire created entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const expiringCache = cache.withExpiryPolicy({ create : 100 });
+                await expiringCache.put(1, 10);
+                await cache.put(2, 20);
+                await TestingHelper.waitForConditionOrThrow(async () => await cache.get(1) === null, 5000);
+                expect(await cache.get(2)).toBe(20);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('expire updated entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.put(1, 10);
+                const expiringCache = cache.withExpiryPolicy({ update : 100 });
+                await expiringCache.put(1, 11);
+                await TestingHelper.waitForConditionOrThrow(async () => await cache.get(1) === null, 5000);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('keep eternal entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const eternalCache = cache.withExpiryPolicy({
+                    create : CacheClient.EXPIRY_DURATION.ETERNAL,
+                    update : CacheClient.EXPIRY_DURATION.ETERNAL
+                });
+                await eternalCache.put(1, 10);
+                await TestingHelper.sleep(200);
+                expect(await eternalCache.get(1)).toBe(10);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set expiry policy with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    cache.withExpiryPolicy({ create : 'abc' });
+                    done.fail('expiry policy with wrong duration is set');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set expiry policy with negative duration', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    cache.withExpiryPolicy({ update : -3 });
+                    done.fail('expiry policy with negative duration is set');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set expiry policy while disconnected', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const client = new IgniteClient();
+                const expiringCache = client.getCache(CACHE_NAME).withExpiryPolicy({
+                    create : CacheClient.EXPIRY_DURATION.ETERNAL,
+                    access : CacheClient.EXPIRY_DURATION.UNCHANGED
+                });
+                expect(expiringCache).toBeDefined();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {ObjectType, ComplexObjectType, BinaryObject, ScanQuery} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+class Person {
+    constructor(id = null, name = null) {
+        this.id = id;
+        this.name = name;
+    }
+}
+
+describe('cache keep binary test suite >', () => {
+    let igniteClient = null;
+    let cache = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                cache = (await igniteClient.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(new ComplexObjectType(new Person()).
+                        setFieldType('id', ObjectType.PRIMITIVE_TYPE.INTEGER));
+                await cache.put(1, new Person(1, 'name1'));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get binary object', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const value = await cache.withKeepBinary().get(1);
+                expect(value instanceof BinaryObject).toBe(true);
+                expect(await value.getField('name')).toBe('name1');
+                expect(await cache.get(1)).toEqual(jasmine.any(Person));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('scan binary objects', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cursor = await cache.withKeepBinary().query(new ScanQuery());
+                const entries = await cursor.getAll();
+                expect(entries.length).toBe(1);
+                expect(entries[0].getKey()).toBe(1);
+                expect(entries[0].getValue() instanceof BinaryObject).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {ObjectType, CacheEntry, Errors} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('cache request options test suite >', () => {
+    let igniteClient = null;
+    let cache = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                cache = (await igniteClient.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.removeAll();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('run operations with timeout', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const options = { timeout : 10000 };
+                await cache.put(1, 10, options);
+                await cache.putAll([new CacheEntry(2, 20)], options);
+                expect(await cache.get(1, options)).toBe(10);
+                expect((await cache.getAll([1, 2], options)).length).toBe(2);
+                expect(await cache.containsKeys([1, 2], options)).toBe(true);
+                await cache.clear(options);
+                expect(await cache.getSize()).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('run operation with aborted signal', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const controller = new AbortController();
+                controller.abort();
+                try {
+                    await cache.put(1, 10, { signal : controller.signal });
+                    done.fail('operation is executed with aborted signal');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('abort operation in progress', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const controller = new AbortController();
+                const result = cache.get(1, { signal : controller.signal });
+                controller.abort();
+                try {
+                    await result;
+                    done.fail('operation is not aborted');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+                // The response to the aborted request must not break the connection
+                await cache.put(1, 10);
+                expect(await cache.get(1)).toBe(10);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('forget ids of cancelled requests which are never responded', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const socket = igniteClient._router._getAllSockets()[0];
+                // The requests are not sent, so the server never responds to them
+                const write = socket._socket.write;
+                socket._socket.write = () => true;
+                try {
+                    const results = [];
+                    for (let i = 0; i < 1100; i++) {
+                        results.push(cache.get(1, { timeout : 100 }).catch(err => err));
+                    }
+                    for (const err of await Promise.all(results)) {
+                        expect(err instanceof Errors.TimeoutError).toBe(true);
+                    }
+                }
+                finally {
+                    socket._socket.write = write;
+                }
+                expect(socket._cancelledRequests.size).toBe(1000);
+                await cache.put(1, 10);
+                expect(await cache.get(1)).toBe(10);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('run operation with wrong timeout', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await cache.get(1, { timeout : 'abc' });
+                    done.fail('operation is executed with wrong timeout');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
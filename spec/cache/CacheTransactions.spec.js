@@ -0,0 +1,219 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {Errors, CacheConfiguration, ClientTransactions, ObjectType} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('cache transactions test suite >', () => {
+    let igniteClient = null;
+    let cache = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                cache = (await igniteClient.getOrCreateCache(CACHE_NAME, new CacheConfiguration().
+                    setAtomicityMode(CacheConfiguration.CACHE_ATOMICITY_MODE.TRANSACTIONAL))).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.removeAll();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('commit transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const tx = await igniteClient.transactions().txStart(
+                    ClientTransactions.TRANSACTION_CONCURRENCY.PESSIMISTIC,
+                    ClientTransactions.TRANSACTION_ISOLATION.REPEATABLE_READ);
+                try {
+                    const txCache = cache.withTransaction(tx);
+                    await txCache.put(1, 10);
+                    await txCache.put(2, 20);
+                    expect(await txCache.get(1)).toBe(10);
+                    await tx.commit();
+                }
+                finally {
+                    await tx.close();
+                }
+                expect(await cache.get(1)).toBe(10);
+                expect(await cache.get(2)).toBe(20);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('rollback transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.put(1, 1);
+                const tx = await igniteClient.transactions().txStart();
+                try {
+                    const txCache = cache.withTransaction(tx);
+                    await txCache.put(1, 10);
+                    await txCache.put(2, 20);
+                    await tx.rollback();
+                }
+                finally {
+                    await tx.close();
+                }
+                expect(await cache.get(1)).toBe(1);
+                expect(await cache.get(2)).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('close transaction without commit', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const tx = await igniteClient.transactions().txStart(null, null, 5000, 'test-label');
+                await cache.withTransaction(tx).put(1, 10);
+                await tx.close();
+                expect(await cache.get(1)).toBe(null);
+                // closing twice is allowed
+                await tx.close();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('commit closed transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const tx = await igniteClient.transactions().txStart();
+                await tx.commit();
+                try {
+                    await tx.commit();
+                    done.fail('closed transaction is committed');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IllegalStateError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('operations outside transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const tx = await igniteClient.transactions().txStart();
+                try {
+                    await cache.withTransaction(tx).put(1, 10);
+                    // The operations of other cache views, eg. of concurrent tasks, are not a part of the transaction
+                    await cache.put(2, 20);
+                    await tx.rollback();
+                }
+                finally {
+                    await tx.close();
+                }
+                expect(await cache.get(1)).toBe(null);
+                expect(await cache.get(2)).toBe(20);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('concurrent transactions', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const tx1 = await igniteClient.transactions().txStart();
+                const tx2 = await igniteClient.transactions().txStart();
+                try {
+                    await Promise.all([
+                        cache.withTransaction(tx1).put(1, 10),
+                        cache.withTransaction(tx2).put(2, 20)
+                    ]);
+                    await tx1.commit();
+                    await tx2.rollback();
+                }
+                finally {
+                    await tx1.close();
+                    await tx2.close();
+                }
+                expect(await cache.get(1)).toBe(10);
+                expect(await cache.get(2)).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('use closed transaction', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const tx = await igniteClient.transactions().txStart();
+                const txCache = cache.withTransaction(tx);
+                await tx.close();
+                try {
+                    await txCache.put(1, 10);
+                    done.fail('operation of closed transaction is executed');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IllegalStateError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('start transaction with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.transactions().txStart(12345);
+                    done.fail('transaction is started with wrong concurrency');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
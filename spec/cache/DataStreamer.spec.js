@@ -0,0 +1,225 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {ObjectType, Errors} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+const UNKNOWN_CACHE_NAME = '__test_unknown_cache';
+const ELEMENTS_NUMBER = 1000;
+
+describe('data streamer test suite >', () => {
+    let igniteClient = null;
+    let cache = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                cache = (await igniteClient.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.removeAll();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('stream entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const streamer = createStreamer({ perNodeBufferSize : 100, parallelOps : 2 });
+                for (let i = 0; i < ELEMENTS_NUMBER; i++) {
+                    await streamer.addData(i, i * 2);
+                }
+                await streamer.close();
+                expect(streamer.isClosed()).toBe(true);
+                expect(await cache.getSize()).toBe(ELEMENTS_NUMBER);
+                expect(await cache.get(10)).toBe(20);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('flush entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const streamer = createStreamer();
+                try {
+                    await streamer.addData(1, 2);
+                    await streamer.flush();
+                    expect(await cache.get(1)).toBe(2);
+                }
+                finally {
+                    await streamer.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('overwrite and remove entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.put(1, 1);
+                await cache.put(2, 2);
+                const streamer = createStreamer({ allowOverwrite : true });
+                await streamer.addData(1, 10);
+                await streamer.removeData(2);
+                await streamer.close();
+                expect(await cache.get(1)).toBe(10);
+                expect(await cache.get(2)).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('do not overwrite entries', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.put(1, 1);
+                const streamer = createStreamer();
+                await streamer.addData(1, 10);
+                await streamer.close();
+                expect(await cache.get(1)).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('flush entries periodically', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const streamer = createStreamer({ flushInterval : 100 });
+                try {
+                    await streamer.addData(1, 2);
+                    await TestingHelper.waitForConditionOrThrow(async () => await cache.get(1) === 2, 5000);
+                }
+                finally {
+                    await streamer.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('throw error of periodic flush', (done) => {
+        Promise.resolve().
+            then(async () => {
+                // The batch fails on the server as the cache does not exist
+                const streamer = igniteClient.dataStreamer(UNKNOWN_CACHE_NAME, { flushInterval : 100 });
+                await streamer.addData(1, 2);
+                await TestingHelper.sleep(1000);
+                try {
+                    await streamer.flush();
+                    done.fail('error of periodic flush is not thrown');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+                finally {
+                    await streamer.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('throw error of periodic flush on close', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const streamer = igniteClient.dataStreamer(UNKNOWN_CACHE_NAME, { flushInterval : 100 });
+                await streamer.addData(1, 2);
+                await TestingHelper.sleep(1000);
+                try {
+                    await streamer.close();
+                    done.fail('error of periodic flush is not thrown');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+                expect(streamer.isClosed()).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('add data to closed streamer', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const streamer = createStreamer();
+                await streamer.close();
+                try {
+                    await streamer.addData(1, 2);
+                    done.fail('data is added to closed streamer');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('create streamer with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    igniteClient.dataStreamer(CACHE_NAME, { parallelOps : -1 });
+                    done.fail('streamer is created with wrong options');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    function createStreamer(options = {}) {
+        return igniteClient.dataStreamer(CACHE_NAME, options).
+            setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+            setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+    }
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,273 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClientConfiguration, ObjectType, ComplexObjectType, BinaryObject, ScanQuery, CacheEntry,
+    TypeRegistry, IgniteType, Field, BinaryBasicNameMapper} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+class Order {
+    constructor(id = null, amount = null) {
+        this.id = id;
+        this.amount = amount;
+    }
+}
+
+class Product {
+    constructor(name = null) {
+        this.name = name;
+    }
+}
+
+class Address {
+    constructor(city = null) {
+        this.city = city;
+    }
+}
+
+class Customer {
+    constructor(name = null, address = null) {
+        this.name = name;
+        this.address = address;
+    }
+}
+
+class Invoice {
+    constructor(id = null, customer = null) {
+        this.id = id;
+        this.customer = customer;
+    }
+}
+
+// Decorators applied in the same way as by TypeScript or Babel
+Field(ObjectType.PRIMITIVE_TYPE.LONG)(Product.prototype, 'code');
+IgniteType('com.acme.Product')(Product);
+
+describe('type registry test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                await igniteClient.getOrCreateCache(CACHE_NAME);
+                TypeRegistry.register(Order, {
+                    typeName: 'com.acme.Order',
+                    fields: { id: ObjectType.PRIMITIVE_TYPE.LONG, amount: ObjectType.PRIMITIVE_TYPE.DOUBLE }
+                });
+                TypeRegistry.register(Address, { typeName: 'com.acme.Address' });
+                TypeRegistry.register(Customer, { typeName: 'com.acme.Customer' });
+                TypeRegistry.register(Invoice, { typeName: 'com.acme.Invoice', fields: { customer: Customer } });
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                TypeRegistry.unregister(Order);
+                TypeRegistry.unregister(Address);
+                TypeRegistry.unregister(Customer);
+                TypeRegistry.unregister(Invoice);
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('put get registered class', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                await cache.put(1, new Order(1, 10));
+                const order = await cache.get(1);
+                expect(order instanceof Order).toBe(true);
+                expect(order).toEqual(new Order(1, 10));
+                const binaryObject = await cache.withKeepBinary().get(1);
+                expect(binaryObject instanceof BinaryObject).toBe(true);
+                expect(binaryObject.getTypeName()).toBe('com.acme.Order');
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('put get decorated class', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                const product = new Product('name1');
+                product.code = 123;
+                await cache.put(1, product);
+                const result = await cache.get(1);
+                expect(result instanceof Product).toBe(true);
+                expect(result).toEqual(product);
+                expect(TypeRegistry.getComplexObjectType(Product).typeName).toBe('com.acme.Product');
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('scan registered class', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                await cache.putAll([1, 2, 3].map(id => new CacheEntry(id, new Order(id, id * 10))));
+                const entries = await (await cache.query(new ScanQuery())).getAll();
+                expect(entries.length).toBe(3);
+                for (let entry of entries) {
+                    expect(entry.getValue()).toEqual(new Order(entry.getKey(), entry.getKey() * 10));
+                }
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('explicit value type takes precedence', (done) => {
+        Promise.resolve().
+            then(async () => {
+                class OrderView {
+                    constructor() {
+                        this.id = null;
+                        this.amount = null;
+                    }
+                }
+                const cache = igniteClient.getCache(CACHE_NAME);
+                await cache.put(1, new Order(1, 10));
+                const result = await cache.
+                    setValueType(new ComplexObjectType(new OrderView(), 'com.acme.Order')).
+                    get(1);
+                expect(result instanceof OrderView).toBe(true);
+                expect(result.amount).toBe(10);
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('put get nested registered classes', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                const invoice = new Invoice(1, new Customer('name1', new Address('city1')));
+                await cache.put(1, invoice);
+                const result = await cache.get(1);
+                expect(result instanceof Invoice).toBe(true);
+                expect(result.customer instanceof Customer).toBe(true);
+                expect(result.customer.address instanceof Address).toBe(true);
+                expect(result).toEqual(invoice);
+                // Nested types are resolved also if the type of the root object is specified explicitly
+                const explicitResult = await cache.
+                    setValueType(new ComplexObjectType(new Invoice(), 'com.acme.Invoice')).
+                    get(1);
+                expect(explicitResult.customer.address instanceof Address).toBe(true);
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('binary object to registered class', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = igniteClient.getCache(CACHE_NAME);
+                const invoice = new Invoice(1, new Customer('name1', new Address('city1')));
+                await cache.put(1, invoice);
+                const binaryObject = await cache.withKeepBinary().get(1);
+                expect(binaryObject instanceof BinaryObject).toBe(true);
+                expect(await binaryObject.toObject()).toEqual(invoice);
+                expect(await binaryObject.getField('customer')).toEqual(jasmine.any(Customer));
+                await cache.clear();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('read registered class by clients with different mappers', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const mappedClient = TestingHelper.makeClient();
+                await mappedClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setBinaryNameMapper(new BinaryBasicNameMapper(true)));
+                try {
+                    const mappedCache = mappedClient.getCache(CACHE_NAME);
+                    await mappedCache.put(1, new Order(1, 10));
+                    const binaryObject = await mappedCache.withKeepBinary().get(1);
+                    expect(binaryObject.getTypeName()).toBe('Order');
+                    // The registered name is mapped by the name mapper of the client which reads the object
+                    const order = await mappedCache.get(1);
+                    expect(order instanceof Order).toBe(true);
+                    expect(order).toEqual(new Order(1, 10));
+                    expect(await igniteClient.getCache(CACHE_NAME).get(1)).toEqual(jasmine.any(BinaryObject));
+                    await mappedCache.clear();
+                }
+                finally {
+                    mappedClient.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('read objects of ambiguous mapped type name', (done) => {
+        Promise.resolve().
+            then(async () => {
+                class OtherOrder {
+                    constructor(id = null, amount = null) {
+                        this.id = id;
+                        this.amount = amount;
+                    }
+                }
+                const mappedClient = TestingHelper.makeClient();
+                await mappedClient.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setBinaryNameMapper(new BinaryBasicNameMapper(true)));
+                try {
+                    const mappedCache = mappedClient.getCache(CACHE_NAME);
+                    await mappedCache.put(1, new Order(1, 10));
+                    // Both registered names are mapped to "Order" by the simple name mapper
+                    TypeRegistry.register(OtherOrder, { typeName: 'org.example.Order' });
+                    try {
+                        expect(await mappedCache.get(1)).toEqual(jasmine.any(BinaryObject));
+                    }
+                    finally {
+                        TypeRegistry.unregister(OtherOrder);
+                    }
+                    expect(await mappedCache.get(1)).toEqual(jasmine.any(Order));
+                    await mappedCache.clear();
+                }
+                finally {
+                    mappedClient.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {ClientCluster} = require('@gridgain/thin-client');
+
+describe('cluster test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get and set cluster state', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                expect(await cluster.state()).toBe(ClientCluster.CLUSTER_STATE.ACTIVE);
+                await cluster.setState(ClientCluster.CLUSTER_STATE.ACTIVE);
+                expect(await cluster.state()).toBe(ClientCluster.CLUSTER_STATE.ACTIVE);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('get cluster nodes', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const nodes = await igniteClient.cluster().nodes();
+                expect(nodes.length).toBe(1);
+                expect(nodes[0].getId().length).toBe(16);
+                expect(nodes[0].getOrder()).toBeGreaterThan(0);
+                expect(nodes[0].isClient()).toBe(false);
+                expect(nodes[0].getAttributes().size).toBeGreaterThan(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set cluster state with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.cluster().setState(12345);
+                    done.fail('cluster state is set to wrong value');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('change wal state with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.cluster().disableWal(null);
+                    done.fail('wal state is changed for null cache name');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {Errors} = require('@gridgain/thin-client');
+
+describe('cluster group test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('filter nodes by server side filters', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                expect((await cluster.forServers().nodes()).length).toBe(1);
+                expect((await cluster.forAttribute('__unknown_attribute', 'value').nodes()).length).toBe(0);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('filter nodes by client side filters', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cluster = igniteClient.cluster();
+                const node = (await cluster.nodes())[0];
+                expect((await cluster.forOldest().nodes())[0].getId()).toEqual(node.getId());
+                expect((await cluster.forNodeIds(node.getId()).nodes()).length).toBe(1);
+                expect((await cluster.forPredicate(n => n.isClient()).nodes()).length).toBe(0);
+                expect((await cluster.forServers().forPredicate(n => !n.isClient()).nodes()).length).toBe(1);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('execute task on empty cluster group', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const group = igniteClient.cluster().forPredicate(() => false);
+                try {
+                    await igniteClient.compute(group).execute('org.gridgain.test.UnknownTask');
+                    done.fail('task is executed on empty cluster group');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('create cluster group with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    igniteClient.cluster().forPredicate('abc');
+                    done.fail('cluster group is created with wrong predicate');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {Errors} = require('@gridgain/thin-client');
+
+const UNKNOWN_TASK_NAME = 'org.gridgain.test.UnknownTask';
+
+describe('compute test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('execute unknown task', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.compute().execute(UNKNOWN_TASK_NAME, 1);
+                    done.fail('unknown task is executed');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.OperationError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('execute task with aborted signal', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const controller = new AbortController();
+                controller.abort();
+                try {
+                    await igniteClient.compute().execute(UNKNOWN_TASK_NAME, 1, { signal : controller.signal });
+                    done.fail('task is executed with aborted signal');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.IgniteClientError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('execute task with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await igniteClient.compute().execute(UNKNOWN_TASK_NAME, 1, { timeout : 'abc' });
+                    done.fail('task is executed with wrong timeout');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, IgniteClientConfiguration, ReconnectPolicy, DnsResolver} = require('@gridgain/thin-client');
+
+describe('address resolver test suite >', () => {
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.stopTestServers();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('connect to resolved endpoints', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const client = new IgniteClient();
+                await client.connect(new IgniteClientConfiguration().
+                    setAddressResolver(async () => TestingHelper.getEndpoints(1)));
+                try {
+                    expect(await client.cacheNames()).toBeArray();
+                }
+                finally {
+                    client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('resolve endpoints on reconnect', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const states = [];
+                let calls = 0;
+                const client = new IgniteClient((state) => states.push(state));
+                await client.connect(new IgniteClientConfiguration().
+                    setReconnectPolicy(new ReconnectPolicy().setMaxAttempts(0).setMaxDelay(500)).
+                    setAddressResolver(async () => {
+                        calls++;
+                        return TestingHelper.getEndpoints(1);
+                    }));
+                try {
+                    expect(calls).toBe(1);
+                    await TestingHelper.stopTestServers();
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => states[states.length - 1] === IgniteClient.STATE.CONNECTING, 5000);
+                    await TestingHelper.startTestServer(false, 1);
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => states[states.length - 1] === IgniteClient.STATE.CONNECTED, 20000);
+                    expect(calls).toBeGreaterThan(1);
+                }
+                finally {
+                    client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('keep discovered endpoints when resolving endpoints', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const client = new IgniteClient();
+                await client.connect(new IgniteClientConfiguration().
+                    setAddressResolver(async () => TestingHelper.getEndpoints(1)));
+                try {
+                    // The endpoint is discovered from the cluster, eg. of a node which is not resolved yet
+                    const discoveredEndpoint = '127.0.0.1:10809';
+                    client._router._discoveredEndpoints.set(discoveredEndpoint, 'node');
+                    await client._router._resolveEndpoints();
+                    expect(client._router._inactiveEndpoints).toContain(discoveredEndpoint);
+                    expect(client._router._inactiveEndpoints).toContain(TestingHelper.getEndpoints(1)[0]);
+                }
+                finally {
+                    client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('connect without endpoints and address resolver', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await new IgniteClient().connect(new IgniteClientConfiguration());
+                    done.fail('client is connected without endpoints');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('create DNS resolver with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    DnsResolver.addresses('');
+                    done.fail('DNS resolver is created for empty hostname');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, IgniteClientConfiguration, ObjectType} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('client metrics test suite >', () => {
+    let client = null;
+    let started = [];
+    let ended = [];
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                client = new IgniteClient();
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setRequestHooks({
+                        onRequestStart: (info) => {
+                            started.push(info);
+                            return info.getRequestId();
+                        },
+                        onRequestEnd: (info, context) => ended.push([info, context])
+                    }));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await client.destroyCache(CACHE_NAME);
+                client.disconnect();
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('collect request metrics', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = (await client.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+                const metrics = client.metrics();
+                metrics.reset();
+                await cache.put(1, 'a');
+                await cache.get(1);
+                await cache.get(2);
+                expect(metrics.getRequestCounts().get('CACHE_PUT')).toBe(1);
+                expect(metrics.getRequestCounts().get('CACHE_GET')).toBe(2);
+                const histogram = metrics.getLatencyHistogram('CACHE_GET');
+                expect(histogram.getCount()).toBe(2);
+                expect(histogram.getCounts().reduce((a, b) => a + b)).toBe(2);
+                expect(histogram.getCounts().length).toBe(histogram.getBounds().length + 1);
+                expect(metrics.getLatencyHistogram().getCount()).toBe(3);
+                expect(metrics.getBytesSent()).toBeGreaterThan(0);
+                expect(metrics.getBytesReceived()).toBeGreaterThan(0);
+                expect([...metrics.getInFlightRequests().values()]).toEqual([0]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('call request hooks', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = client.getCache(CACHE_NAME);
+                started = [];
+                ended = [];
+                await cache.put(1, 'a');
+                expect(started.length).toBe(1);
+                expect(started[0].getOperation()).toBe('CACHE_PUT');
+                expect(started[0].getCacheName()).toBe(CACHE_NAME);
+                expect(ended.length).toBe(1);
+                expect(ended[0][0]).toBe(started[0]);
+                expect(ended[0][1]).toBe(started[0].getRequestId());
+                expect(ended[0][0].getDuration()).toBeGreaterThanOrEqual(0);
+                expect(ended[0][0].getError()).toBe(null);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set request hooks with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).setRequestHooks({ onRequestEnd: 'abc' });
+                    done.fail('request hooks are set to wrong value');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
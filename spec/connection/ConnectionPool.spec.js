@@ -0,0 +1,104 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, IgniteClientConfiguration, ScanQuery, ObjectType, CacheEntry} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+const CONNECTIONS_PER_NODE = 3;
+
+describe('connection pool test suite >', () => {
+    let client = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly();
+                client = new IgniteClient();
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setConnectionsPerNode(CONNECTIONS_PER_NODE));
+                const cache = (await client.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+                await cache.putAll([...Array(100).keys()].map(key => new CacheEntry(key, key)));
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await client.destroyCache(CACHE_NAME);
+                client.disconnect();
+                await TestingHelper.stopTestServers();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('requests are spread among connections', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.waitForConditionOrThrow(
+                    () => client._router._getAllSockets().length === CONNECTIONS_PER_NODE, 5000);
+                const cache = client.getCache(CACHE_NAME).setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER);
+                const gets = [...Array(30).keys()].map(key => cache.get(key));
+                const inFlight = client._router._getAllSockets().filter(socket => socket.inFlightRequests > 0);
+                expect(inFlight.length).toBe(CONNECTIONS_PER_NODE);
+                expect(await Promise.all(gets)).toEqual([...Array(30).keys()]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('query cursor is pinned to its connection', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = client.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(10));
+                const entries = [];
+                for await (const entry of cursor) {
+                    entries.push(entry);
+                    // Concurrent requests make other connections less loaded than the cursor connection
+                    await Promise.all([cache.get(entry.getKey()), cache.get(entry.getKey())]);
+                }
+                expect(entries.length).toBe(100);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set connections per node with wrong argument', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration('127.0.0.1:10800').setConnectionsPerNode(0);
+                    done.fail('connections per node is set to wrong value');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,140 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const net = require('net');
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, IgniteClientConfiguration} = require('@gridgain/thin-client');
+
+describe('heartbeat test suite >', () => {
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('keep connection with heartbeats', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const states = [];
+                const client = new IgniteClient((state) => states.push(state));
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setHeartbeatInterval(100));
+                try {
+                    await TestingHelper.sleep(1000);
+                    expect(states).toEqual([IgniteClient.STATE.CONNECTING, IgniteClient.STATE.CONNECTED]);
+                    expect(await client.cacheNames()).toBeArray();
+                }
+                finally {
+                    client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('detect dead connection with heartbeats', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const [host, port] = TestingHelper.getEndpoints(1)[0].split(':');
+                let frozen = false;
+                let closedConnections = 0;
+                // Proxy which stops forwarding the responses of the node when frozen
+                const proxy = net.createServer((clientSocket) => {
+                    const nodeSocket = net.connect(Number(port), host);
+                    clientSocket.on('data', (data) => nodeSocket.write(data));
+                    nodeSocket.on('data', (data) => {
+                        if (!frozen) {
+                            clientSocket.write(data);
+                        }
+                    });
+                    clientSocket.on('error', () => nodeSocket.destroy());
+                    nodeSocket.on('error', () => clientSocket.destroy());
+                    clientSocket.on('close', () => {
+                        closedConnections++;
+                        nodeSocket.destroy();
+                    });
+                    nodeSocket.on('close', () => clientSocket.destroy());
+                });
+                await new Promise((resolve) => proxy.listen(0, '127.0.0.1', resolve));
+                const states = [];
+                const client = new IgniteClient((state) => states.push(state));
+                try {
+                    await client.connect(new IgniteClientConfiguration('127.0.0.1:' + proxy.address().port).
+                        setHeartbeatInterval(100).
+                        setHeartbeatTimeout(300));
+                    frozen = true;
+                    // The client closes the dead connection and tries to reconnect
+                    await TestingHelper.waitForCondition(() => closedConnections > 0 && states.length > 2, 5000);
+                    expect(closedConnections).toBeGreaterThan(0);
+                    expect(states.slice(0, 3)).toEqual([
+                        IgniteClient.STATE.CONNECTING, IgniteClient.STATE.CONNECTED, IgniteClient.STATE.CONNECTING]);
+                }
+                finally {
+                    client.disconnect();
+                    proxy.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set heartbeat interval with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).setHeartbeatInterval('abc');
+                    done.fail('heartbeat interval is set to wrong value');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set heartbeat timeout with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).setHeartbeatTimeout(-1);
+                    done.fail('heartbeat timeout is set to wrong value');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, IgniteClientConfiguration} = require('@gridgain/thin-client');
+
+const LOG_LEVEL = IgniteClientConfiguration.LOG_LEVEL;
+const LOG_CATEGORY = IgniteClientConfiguration.LOG_CATEGORY;
+
+describe('logger test suite >', () => {
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('log messages via custom logger', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const messages = { debug: [], info: [], warn: [], error: [] };
+                const logger = {
+                    debug: (msg) => messages.debug.push(msg),
+                    info: (msg) => messages.info.push(msg),
+                    warn: (msg) => messages.warn.push(msg),
+                    error: (msg) => messages.error.push(msg)
+                };
+                const client = new IgniteClient();
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setLogger(logger).
+                    setLogLevel(LOG_LEVEL.DEBUG, LOG_CATEGORY.PROTOCOL));
+                try {
+                    await client.cacheNames();
+                }
+                finally {
+                    client.disconnect();
+                }
+                expect(messages.info.some(msg => msg.startsWith('[' + LOG_CATEGORY.CONNECTION + ']'))).toBe(true);
+                expect(messages.debug.length).toBeGreaterThan(0);
+                expect(messages.debug.every(msg => msg.startsWith('[' + LOG_CATEGORY.PROTOCOL + ']'))).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set logger with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).setLogger({ debug: () => {} });
+                    done.fail('logger without all methods is set');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,146 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {IgniteClient, IgniteClientConfiguration, ReconnectPolicy, RetryPolicy, ScanQuery, Errors} =
+    require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('reconnect policy test suite >', () => {
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.stopTestServers();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('reconnect when node is restarted', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const states = [];
+                const client = new IgniteClient((state) => states.push(state));
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setReconnectPolicy(new ReconnectPolicy().setMaxAttempts(0).setMaxDelay(500)).
+                    setRetryPolicy(new RetryPolicy()));
+                try {
+                    await TestingHelper.stopTestServers();
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => states[states.length - 1] === IgniteClient.STATE.CONNECTING, 5000);
+                    await TestingHelper.startTestServer(false, 1);
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => states[states.length - 1] === IgniteClient.STATE.CONNECTED, 20000);
+                    expect(client.metrics().getReconnectCount()).toBe(1);
+                    expect(await client.cacheNames()).toBeArray();
+                }
+                finally {
+                    client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('do not retry next page of query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const states = [];
+                const client = new IgniteClient((state) => states.push(state));
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setReconnectPolicy(new ReconnectPolicy().setMaxAttempts(0).setMaxDelay(500)).
+                    setRetryPolicy(new RetryPolicy()));
+                try {
+                    const cache = await client.getOrCreateCache(CACHE_NAME);
+                    await cache.put(1, 1);
+                    await cache.put(2, 2);
+                    const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                    await cursor.getValue();
+                    await TestingHelper.stopTestServers();
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => states[states.length - 1] === IgniteClient.STATE.CONNECTING, 5000);
+                    await TestingHelper.startTestServer(false, 1);
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => states[states.length - 1] === IgniteClient.STATE.CONNECTED, 20000);
+                    // The server-side cursor is lost with the connection it has been opened with
+                    try {
+                        await cursor.getValue();
+                        done.fail('next page is obtained via lost connection');
+                    }
+                    catch (err) {
+                        TestingHelper.checkError(err, Errors.LostConnectionError, done);
+                    }
+                    // The query itself is executed via the new connection
+                    const newCache = await client.getOrCreateCache(CACHE_NAME);
+                    expect(await (await newCache.query(new ScanQuery())).getAll()).toBeArray();
+                }
+                finally {
+                    client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('stop reconnection on disconnect', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const states = [];
+                const client = new IgniteClient((state) => states.push(state));
+                await client.connect(new IgniteClientConfiguration(...TestingHelper.getEndpoints(1)).
+                    setReconnectPolicy(new ReconnectPolicy().setMaxAttempts(0)));
+                await TestingHelper.stopTestServers();
+                await TestingHelper.waitForConditionOrThrow(
+                    () => states[states.length - 1] === IgniteClient.STATE.CONNECTING, 5000);
+                client.disconnect();
+                await TestingHelper.sleep(1000);
+                expect(states[states.length - 1]).toBe(IgniteClient.STATE.DISCONNECTED);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set reconnect policy with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new ReconnectPolicy().setJitter(2);
+                    done.fail('jitter is set to wrong value');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const { IgniteClientConfiguration } = require('@gridgain/thin-client');
+
+const SERVER_NUM = 3;
+
+describe('partition awareness with discovery of cluster endpoints test suite >', () => {
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.initClusterOnly(SERVER_NUM, true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(_error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('client connects to all nodes when one endpoint is specified', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const client = TestingHelper.makeClient();
+                await client.connect(new IgniteClientConfiguration(TestingHelper.getEndpoints(1)[0]).
+                    setConnectionOptions(false, null, true).
+                    setClusterDiscovery(true));
+                try {
+                    await TestingHelper.waitForConditionOrThrow(
+                        () => client._router._getAllConnections().length === SERVER_NUM, 5000);
+                    // The nodes may be connected via any of their addresses
+                    const nodeIds = client._router._getAllConnections().map(socket => '' + socket.nodeUUID);
+                    expect(new Set(nodeIds).size).toBe(SERVER_NUM);
+                }
+                finally {
+                    await client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('client does not discover nodes by default', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const client = TestingHelper.makeClient();
+                await client.connect(new IgniteClientConfiguration(TestingHelper.getEndpoints(1)[0]).
+                    setConnectionOptions(false, null, true));
+                try {
+                    await TestingHelper.sleep(2000);
+                    expect(client._router._getAllConnections().length).toBe(1);
+                }
+                finally {
+                    await client.disconnect();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -20,7 +20,7 @@ require('jasmine-expect');
 
 const TestingHelper = require('../TestingHelper');
 const PartitionAwarenessTestUtils = require('./PartitionAwarenessTestUtils');
-const { ObjectType } = require('@gridgain/thin-client');
+const { ObjectType, CacheEntry, ScanQuery } = require('@gridgain/thin-client');
 
 const CACHE_NAME = '__test_cache';
 const SERVER_NUM = 3;
@@ -142,6 +142,28 @@ describe('partition awareness multiple connections failover test suite >', () =>
             catch(error => done.fail(error));
     });
 
+    it('cursors are released when their node is killed', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = await getCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER);
+                await cache.putAll([...Array(10).keys()].map(key => new CacheEntry(key, key)));
+
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                await cursor.getValue();
+                const openCursors = igniteClient.openCursors();
+                expect(openCursors.length).toBe(1);
+
+                // Killing the node the cursor is opened on
+                const endpoint = openCursors[0]._connection.endpoint;
+                await TestingHelper.killNodeByIdAndWait(Number(endpoint.split(':')[1]) - 10800);
+
+                await TestingHelper.waitForCondition(() => igniteClient.openCursors().length === 0, 5000);
+                expect(igniteClient.openCursors()).toEqual([]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     async function getCache(keyType, valueType, cacheName = CACHE_NAME, cacheCfg = null) {
         return await PartitionAwarenessTestUtils.getOrCreateCache(igniteClient, keyType, valueType, cacheName, cacheCfg);
     }
@@ -20,7 +20,7 @@ require('jasmine-expect');
 
 const TestingHelper = require('../TestingHelper');
 const PartitionAwarenessTestUtils = require('./PartitionAwarenessTestUtils');
-const { ObjectType } = require('@gridgain/thin-client');
+const { ObjectType, CacheEntry, CacheConfiguration } = require('@gridgain/thin-client');
 
 const CACHE_NAME = '__test_cache';
 const CUSTOM_AFFINITY_CACHE = 'custom-affinity';
@@ -28,6 +28,7 @@ const PARTITIONED_0_CACHE = 'partitioned0';
 const PARTITIONED_1_CACHE = 'partitioned1';
 const PARTITIONED_3_CACHE = 'partitioned3';
 const REPLICATED_CACHE = 'replicated';
+const TRANSACTIONAL_CACHE = 'transactional';
 const SERVER_NUM = 3;
 
 describe('partition awareness multiple connections test suite >', () => {
@@ -64,6 +65,74 @@ describe('partition awareness multiple connections test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('multiple keys operations with partition awareness and multiple connections', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = await getOrCreateCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    CACHE_NAME, PartitionAwarenessTestUtils.createCacheConfig().
+                        setAtomicityMode(CacheConfiguration.CACHE_ATOMICITY_MODE.ATOMIC));
+                await TestingHelper.ensureStableTopology(igniteClient, cache, 0, true);
+
+                // The key is sent to its primary node by every operation
+                for (const key of [1, 42, 1337]) {
+                    await cache.put(key, key);
+                    const nodeId = await TestingHelper.getRequestGridIdx('Put');
+                    expect(nodeId).not.toEqual(-1, 'Can not locate node for an operation.');
+                    await cache.putAll([new CacheEntry(key, key)]);
+                    await PartitionAwarenessTestUtils.expectOnTheNode(nodeId, 'PutAll');
+                    await cache.getAll([key]);
+                    await PartitionAwarenessTestUtils.expectOnTheNode(nodeId, 'GetAll');
+                    await cache.containsKeys([key]);
+                    await PartitionAwarenessTestUtils.expectOnTheNode(nodeId, 'ContainsKeys');
+                    await cache.removeKeys([key]);
+                    await PartitionAwarenessTestUtils.expectOnTheNode(nodeId, 'RemoveKeys');
+                    await cache.clearKeys([key]);
+                    await PartitionAwarenessTestUtils.expectOnTheNode(nodeId, 'ClearKeys');
+                }
+
+                const keys = [...Array(100).keys()];
+                await cache.putAll(keys.map(key => new CacheEntry(key, key * 2)));
+                expect((await getRequestGridIdxs('PutAll')).length).toBe(SERVER_NUM);
+                const entries = await cache.getAll(keys);
+                expect(entries.length).toBe(keys.length);
+                for (const entry of entries) {
+                    expect(entry.getValue()).toBe(entry.getKey() * 2);
+                }
+                expect(await cache.containsKeys(keys)).toBe(true);
+
+                await cache.removeKeys(keys.slice(0, 50));
+                expect(await cache.containsKeys(keys)).toBe(false);
+                expect((await cache.getAll(keys)).length).toBe(50);
+
+                await cache.clearKeys(keys);
+                expect(await cache.getAll(keys)).toEqual([]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('multiple keys update of transactional cache with partition awareness', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const cache = await getOrCreateCache(ObjectType.PRIMITIVE_TYPE.INTEGER, ObjectType.PRIMITIVE_TYPE.INTEGER,
+                    TRANSACTIONAL_CACHE, PartitionAwarenessTestUtils.createCacheConfig().
+                        setAtomicityMode(CacheConfiguration.CACHE_ATOMICITY_MODE.TRANSACTIONAL));
+                await TestingHelper.ensureStableTopology(igniteClient, cache, 0, true);
+                const keys = [...Array(100).keys()];
+
+                // The update is atomic only if it is sent in one request
+                await cache.putAll(keys.map(key => new CacheEntry(key, key)));
+                expect((await getRequestGridIdxs('PutAll')).length).toBe(1);
+                await cache.removeKeys(keys);
+                expect((await getRequestGridIdxs('RemoveKeys')).length).toBe(1);
+                // The keys are read from their primary nodes
+                expect(await cache.getAll(keys)).toEqual([]);
+                expect((await getRequestGridIdxs('GetAll')).length).toBe(SERVER_NUM);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     it('all cache operations with partition awareness and bad affinity', (done) => {
         Promise.resolve().
             then(async () => {
@@ -186,6 +255,28 @@ describe('partition awareness multiple connections test suite >', () => {
             setValueType(valueType);
     }
     
+    // Returns the nodes which have received the request since the previous check
+    async function getRequestGridIdxs(message) {
+        const result = [];
+        for (const [id, logReader] of TestingHelper._logReaders) {
+            if (!logReader) {
+                continue;
+            }
+            let req = null;
+            let received = false;
+            do {
+                req = await logReader.nextRequest();
+                if (req === message) {
+                    received = true;
+                }
+            } while (req != null);
+            if (received) {
+                result.push(id);
+            }
+        }
+        return result;
+    }
+
     async function clearCache(name) {
         await (await igniteClient.getCache(name)).clear();
     }
@@ -196,6 +287,7 @@ describe('partition awareness multiple connections test suite >', () => {
         await clearCache(PARTITIONED_1_CACHE);
         await clearCache(PARTITIONED_3_CACHE);
         await clearCache(REPLICATED_CACHE);
+        await TestingHelper.destroyCache(TRANSACTIONAL_CACHE, done);
         await TestingHelper.destroyCache(CACHE_NAME, done);
     }
 });
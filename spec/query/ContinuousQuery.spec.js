@@ -0,0 +1,189 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {ObjectType, ScanQuery, ContinuousQuery, CacheEntryEvent} = require('@gridgain/thin-client');
+
+const CACHE_NAME = '__test_cache';
+
+describe('continuous query test suite >', () => {
+    let igniteClient = null;
+    let cache = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+                await testSuiteCleanup(done);
+                cache = (await igniteClient.getOrCreateCache(CACHE_NAME)).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.STRING);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await testSuiteCleanup(done);
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    beforeEach((done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.removeAll();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('receive events via listeners', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const handle = await cache.queryContinuous(new ContinuousQuery());
+                const events = [];
+                handle.on('event', (event) => events.push(event));
+                try {
+                    await cache.put(1, 'a');
+                    await cache.put(1, 'b');
+                    await cache.removeKey(1);
+                    await TestingHelper.waitForConditionOrThrow(() => events.length === 3, 5000);
+                }
+                finally {
+                    await handle.close();
+                }
+                expect(events.map(e => e.getEventType())).toEqual([
+                    CacheEntryEvent.EVENT_TYPE.CREATED,
+                    CacheEntryEvent.EVENT_TYPE.UPDATED,
+                    CacheEntryEvent.EVENT_TYPE.REMOVED]);
+                expect(events[0].getKey()).toBe(1);
+                expect(events[0].getValue()).toBe('a');
+                expect(events[1].getOldValue()).toBe('a');
+                expect(events[1].getValue()).toBe('b');
+                expect(events[2].getOldValue()).toBe('b');
+                expect(handle.isClosed()).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('receive events via async iterator', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const handle = await cache.queryContinuous(new ContinuousQuery().setBufferSize(2));
+                await cache.put(1, 'a');
+                await cache.put(2, 'b');
+                const keys = [];
+                for await (const event of handle) {
+                    expect(event.getEventType()).toBe(CacheEntryEvent.EVENT_TYPE.CREATED);
+                    keys.push(event.getKey());
+                    if (keys.length === 2) {
+                        break;
+                    }
+                }
+                expect(keys.sort()).toEqual([1, 2]);
+                expect(handle.isClosed()).toBe(true);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('drop oldest events when queue is full', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const handle = await cache.queryContinuous(new ContinuousQuery().setQueueSize(2));
+                await cache.put(1, 'a');
+                await cache.put(2, 'b');
+                await cache.put(3, 'c');
+                // Nobody consumes the events while they are received
+                await TestingHelper.sleep(1000);
+                const keys = [];
+                for await (const event of handle) {
+                    keys.push(event.getKey());
+                    if (keys.length === 2) {
+                        break;
+                    }
+                }
+                expect(keys).toEqual([2, 3]);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('run initial query', (done) => {
+        Promise.resolve().
+            then(async () => {
+                await cache.put(1, 'a');
+                const handle = await cache.queryContinuous(
+                    new ContinuousQuery().setInitialQuery(new ScanQuery()));
+                try {
+                    const entries = await handle.getInitialQueryCursor().getAll();
+                    expect(entries.length).toBe(1);
+                    expect(entries[0].getKey()).toBe(1);
+                    expect(entries[0].getValue()).toBe('a');
+                }
+                finally {
+                    await handle.close();
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('start continuous query with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    await cache.queryContinuous(new ScanQuery());
+                    done.fail('continuous query is started with wrong argument');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('set wrong queue size', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    new ContinuousQuery().setQueueSize(0);
+                    done.fail('queue size is set to zero');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    async function testSuiteCleanup(done) {
+        await TestingHelper.destroyCache(CACHE_NAME, done);
+    }
+});
@@ -121,6 +121,52 @@ describe('scan query test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('iterate with page size', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(3));
+                const set = new Set();
+                for await (let cacheEntry of cursor) {
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('break iteration', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                for await (let cacheEntry of cursor) {
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    break;
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('read stream with page size', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const cursor = await cache.query(new ScanQuery().setPageSize(2));
+                const set = new Set();
+                for await (let cacheEntry of cursor.toStream()) {
+                    expect(generateValue(cacheEntry.getKey()) === cacheEntry.getValue()).toBe(true);
+                    set.add(cacheEntry.getKey());
+                }
+                expect(set.size).toBe(ELEMENTS_NUMBER);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     it('close cursor', (done) => {
         Promise.resolve().
             then(async () => {
@@ -145,6 +191,58 @@ describe('scan query test suite >', () => {
             catch(error => done.fail(error));
     });
 
+    it('track open cursors', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const openCursors = igniteClient.openCursors().length;
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                await cursor.getValue();
+                expect(igniteClient.openCursors().length).toBe(openCursors + 1);
+                await cursor.close();
+                expect(igniteClient.openCursors().length).toBe(openCursors);
+
+                const allCursor = await cache.query(new ScanQuery().setPageSize(1));
+                expect(igniteClient.openCursors().length).toBe(openCursors + 1);
+                await allCursor.getAll();
+                expect(igniteClient.openCursors().length).toBe(openCursors);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('do not track cursor with one page', (done) => {
+        Promise.resolve().
+            then(async () => {
+                let cache = igniteClient.getCache(CACHE_NAME);
+                const openCursors = igniteClient.openCursors().length;
+                const cursor = await cache.query(new ScanQuery().setPageSize(ELEMENTS_NUMBER + 1));
+                expect(igniteClient.openCursors().length).toBe(openCursors);
+                await cursor.close();
+                expect(igniteClient.openCursors().length).toBe(openCursors);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('close cursor without reading values', (done) => {
+        Promise.resolve().
+            then(async () => {
+                // The values can not be read as dates, but closing the cursor does not read them
+                let cache = igniteClient.getCache(CACHE_NAME).
+                    setKeyType(ObjectType.PRIMITIVE_TYPE.INTEGER).
+                    setValueType(ObjectType.PRIMITIVE_TYPE.DATE);
+                const openCursors = igniteClient.openCursors().length;
+                const cursor = await cache.query(new ScanQuery().setPageSize(1));
+                expect(igniteClient.openCursors().length).toBe(openCursors + 1);
+                await cursor.close();
+                expect(igniteClient.openCursors().length).toBe(openCursors);
+                expect(cursor.hasMore()).toBeFalsy();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
     it('scan query settings', (done) => {
         Promise.resolve().
             then(async () => {
@@ -172,7 +270,7 @@ describe('scan query test suite >', () => {
 
                 cursor = await cache.query(new ScanQuery());
                 expect(await cursor.getValue()).toBe(null);
-                expect(cursor.hasMore()).toBe(false);
+                expect(cursor.hasMore()).toBeFalsy();
                 await cursor.close();
             }).
             then(done).
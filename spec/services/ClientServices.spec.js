@@ -0,0 +1,113 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('jasmine-expect');
+
+const TestingHelper = require('../TestingHelper');
+const {Errors} = require('@gridgain/thin-client');
+
+const UNKNOWN_SERVICE_NAME = '__unknown_service';
+
+describe('services test suite >', () => {
+    let igniteClient = null;
+
+    beforeAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.init();
+                igniteClient = TestingHelper.igniteClient;
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    }, TestingHelper.TIMEOUT);
+
+    afterAll((done) => {
+        Promise.resolve().
+            then(async () => {
+                await TestingHelper.cleanUp();
+            }).
+            then(done).
+            catch(error => done());
+    }, TestingHelper.TIMEOUT);
+
+    it('get service descriptors', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const descriptors = await igniteClient.services().getServiceDescriptors();
+                expect(descriptors).toBeArray();
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('invoke unknown service', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const proxy = igniteClient.services().serviceProxy(UNKNOWN_SERVICE_NAME);
+                try {
+                    await proxy.calculate(1, 'abc');
+                    done.fail('unknown service is invoked');
+                }
+                catch (err) {
+                    TestingHelper.checkError(err, Errors.OperationError, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('await service proxy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const proxy = igniteClient.services().serviceProxy(UNKNOWN_SERVICE_NAME);
+                expect(await proxy).toBe(proxy);
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('built-in properties of service proxy', (done) => {
+        Promise.resolve().
+            then(async () => {
+                const proxy = igniteClient.services().serviceProxy(UNKNOWN_SERVICE_NAME);
+                expect(proxy.toJSON).toBeUndefined();
+                expect(proxy.inspect).toBeUndefined();
+                expect(proxy.constructor).toBe(Object);
+                expect(JSON.stringify(proxy)).toBe('{}');
+                expect(String(proxy)).toBe('[object Object]');
+                expect(typeof proxy.calculate).toBe('function');
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+
+    it('create service proxy with wrong arguments', (done) => {
+        Promise.resolve().
+            then(async () => {
+                try {
+                    igniteClient.services().serviceProxy(UNKNOWN_SERVICE_NAME, { clusterGroup : 'abc' });
+                    done.fail('service proxy is created with wrong cluster group');
+                }
+                catch (err) {
+                    TestingHelper.checkIllegalArgumentError(err, done);
+                }
+            }).
+            then(done).
+            catch(error => done.fail(error));
+    });
+});
@@ -0,0 +1,110 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import * as dns from "dns";
+import * as Util from "util";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import { IgniteClientError } from "./Errors";
+
+const PORT_DEFAULT = 10800;
+
+/**
+ * Function which returns the endpoints of the cluster nodes, eg. obtained from a service registry.
+ * Every endpoint has the same format as the endpoints passed to {@link IgniteClientConfiguration} constructor.
+ *
+ * @typedef {function(): Promise<Array<string>>} AddressResolver
+ */
+export type AddressResolver = () => Promise<string[]>;
+
+/**
+ * Class providing the address resolvers based on DNS records.
+ *
+ * The resolvers are passed to setAddressResolver() method of {@link IgniteClientConfiguration}.
+ * The DNS records are resolved again every time the client connects or reconnects to the cluster,
+ * so the changes of the cluster are taken into account without changing the client configuration.
+ *
+ * @hideconstructor
+ */
+export class DnsResolver {
+
+    /**
+     * Returns the resolver which expands the hostname to the endpoints of all its A and AAAA records.
+     *
+     * @param {string} hostname - hostname, eg. the DNS name of a headless service of the cluster.
+     * @param {number} [port=10800] - port of the cluster nodes.
+     *
+     * @return {AddressResolver} - the address resolver.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    static addresses(hostname: string, port: number = PORT_DEFAULT): AddressResolver {
+        ArgumentChecker.notEmpty(hostname, 'hostname');
+        ArgumentChecker.isInteger(port, 'port');
+        return async () => {
+            // A hostname may have the records of one family only
+            const [addresses4, addresses6] = await Promise.all([
+                DnsResolver._resolve(dns.promises.resolve4(hostname)),
+                DnsResolver._resolve(dns.promises.resolve6(hostname))
+            ]);
+            const endpoints = addresses4.map(address => Util.format('%s:%d', address, port)).
+                concat(addresses6.map(address => Util.format('[%s]:%d', address, port)));
+            if (endpoints.length === 0) {
+                throw new IgniteClientError(Util.format('Hostname %s has no A or AAAA records', hostname));
+            }
+            return endpoints;
+        };
+    }
+
+    /**
+     * Returns the resolver which obtains the endpoints from the SRV records of the service name.
+     *
+     * The endpoints are ordered by the priority and the weight of the records.
+     *
+     * @param {string} name - service name, eg. _thin-client._tcp.gridgain.default.svc.cluster.local
+     *
+     * @return {AddressResolver} - the address resolver.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    static srv(name: string): AddressResolver {
+        ArgumentChecker.notEmpty(name, 'name');
+        return async () => {
+            const records = await dns.promises.resolveSrv(name);
+            // Lower priority is preferred, higher weight is preferred within the same priority
+            records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+            return records.map(record => Util.format('%s:%d', record.name, record.port));
+        };
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    static async _resolve(addresses: Promise<string[]>): Promise<string[]> {
+        try {
+            return await addresses;
+        }
+        catch (err) {
+            if (err.code === dns.NODATA || err.code === dns.NOTFOUND) {
+                return [];
+            }
+            throw err;
+        }
+    }
+}
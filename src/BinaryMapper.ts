@@ -0,0 +1,173 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import BinaryUtils from "./internal/BinaryUtils";
+
+/**
+ * Mapper of the type names and the field names to the ids of the binary types and fields.
+ * It must produce the same ids as the ID mapper of the cluster, eg. BinaryBasicIdMapper of Java.
+ *
+ * @typedef BinaryIdMapper
+ * @property {function(string): number} typeId - returns the id of the type with the specified name.
+ * @property {function(number, string): number} fieldId - returns the id of the field
+ *   with the specified name of the type with the specified id.
+ */
+export interface BinaryIdMapper {
+    typeId(typeName: string): number;
+    fieldId(typeId: number, fieldName: string): number;
+}
+
+/**
+ * Mapper of the type names and the field names specified by the client to the names
+ * which are stored in the binary types and passed to {@link BinaryIdMapper}.
+ * It must produce the same names as the name mapper of the cluster, eg. BinaryBasicNameMapper of Java.
+ *
+ * @typedef BinaryNameMapper
+ * @property {function(string): string} typeName - returns the mapped name of the type.
+ * @property {function(string): string} fieldName - returns the mapped name of the field.
+ */
+export interface BinaryNameMapper {
+    typeName(name: string): string;
+    fieldName(fieldName: string): string;
+}
+
+/**
+ * Class representing the ID mapper which calculates the ids as the hash codes of the names,
+ * in the same way as BinaryBasicIdMapper of Java.
+ *
+ * @implements BinaryIdMapper
+ */
+export class BinaryBasicIdMapper implements BinaryIdMapper {
+
+    private _lowerCase: boolean;
+
+    /**
+     * Public constructor.
+     *
+     * @param {boolean} [lowerCase=true] - if true, the hash codes of the names converted to lower case are used.
+     *   This is the default of the clusters.
+     *
+     * @return {BinaryBasicIdMapper} - new BinaryBasicIdMapper instance.
+     */
+    constructor(lowerCase: boolean = true) {
+        this._lowerCase = lowerCase;
+    }
+
+    /**
+     * Returns the id of the type.
+     *
+     * @param {string} typeName - type name.
+     *
+     * @return {number} - the type id.
+     */
+    typeId(typeName: string): number {
+        return this._hashCode(typeName);
+    }
+
+    /**
+     * Returns the id of the field.
+     *
+     * @param {number} typeId - type id.
+     * @param {string} fieldName - field name.
+     *
+     * @return {number} - the field id.
+     */
+    fieldId(typeId: number, fieldName: string): number {
+        return this._hashCode(fieldName);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    _hashCode(name: string): number {
+        return this._lowerCase ? BinaryUtils.strHashCodeLowerCase(name) : BinaryUtils.strHashCode(name);
+    }
+}
+
+/**
+ * Class representing the name mapper which uses either the full names of the types,
+ * or the simple names without the package, in the same way as BinaryBasicNameMapper of Java.
+ * The field names are not changed.
+ *
+ * @implements BinaryNameMapper
+ */
+export class BinaryBasicNameMapper implements BinaryNameMapper {
+
+    private _simpleName: boolean;
+
+    /**
+     * Public constructor.
+     *
+     * @param {boolean} [simpleName=false] - if true, the package is cut off from the type names,
+     *   eg. com.acme.Order is mapped to Order. The full names are used by default.
+     *
+     * @return {BinaryBasicNameMapper} - new BinaryBasicNameMapper instance.
+     */
+    constructor(simpleName: boolean = false) {
+        this._simpleName = simpleName;
+    }
+
+    /**
+     * Returns the mapped name of the type.
+     *
+     * @param {string} name - type name, eg. the name of Java class.
+     *
+     * @return {string} - the mapped type name.
+     */
+    typeName(name: string): string {
+        return this._simpleName ? BinaryBasicNameMapper._getSimpleName(name) : name;
+    }
+
+    /**
+     * Returns the mapped name of the field.
+     *
+     * @param {string} fieldName - field name.
+     *
+     * @return {string} - the same field name.
+     */
+    fieldName(fieldName: string): string {
+        return fieldName;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    static _getSimpleName(name: string): string {
+        let index = name.lastIndexOf('$');
+        if (index === name.length - 1) {
+            // The name of a regular class which ends with $, eg. of Scala object
+            index = -1;
+        }
+        else if (index >= 0) {
+            const innerName = name.substring(index + 1);
+            // The enclosing class name is not cut off for anonymous classes
+            if (!/^\d+$/.test(innerName)) {
+                return innerName;
+            }
+            index = -1;
+        }
+        if (index < 0) {
+            index = name.lastIndexOf('.');
+        }
+        return index >= 0 ? name.substring(index + 1) : name;
+    }
+}
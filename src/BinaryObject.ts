@@ -19,13 +19,15 @@
 import * as Util from "util";
 import {ComplexObjectType, CompositeType, ObjectType} from "./ObjectType";
 import BinaryUtils from "./internal/BinaryUtils";
-import BinaryType, {BinaryField, BinaryTypeBuilder} from "./internal/BinaryType";
+import {BinaryTypeBuilder} from "./internal/BinaryType";
+import BinaryMapping from "./internal/BinaryMapping";
 import ArgumentChecker from "./internal/ArgumentChecker";
 import MessageBuffer from "./internal/MessageBuffer";
-import Logger from "./internal/Logger";
+import { LOG_CATEGORY, LOG_LEVEL } from "./IgniteClientConfiguration";
 import { IgniteClientError } from "./Errors";
 import { PRIMITIVE_TYPE } from "./internal/Constants";
 import BinaryCommunicator from "./internal/BinaryCommunicator";
+import { TypeRegistry } from "./TypeRegistry";
 
 const HEADER_LENGTH = 24;
 const VERSION = 1;
@@ -85,7 +87,7 @@ export class BinaryObject {
         ArgumentChecker.notEmpty(typeName, 'typeName');
         this._buffer = null;
         this._fields = new Map<number, BinaryObjectField>();
-        this._typeBuilder = BinaryTypeBuilder.fromTypeName(typeName);
+        this._typeBuilder = BinaryTypeBuilder.fromTypeName(typeName, BinaryMapping.default);
         this._modified = false;
         this._schemaOffset = null;
         this._hasSchema = false;
@@ -101,7 +103,12 @@ export class BinaryObject {
      * Fields may be added or removed later using setField() and removeField() methods.
      *
      * If complexObjectType parameter is specified, then the type Id is taken from it.
-     * Otherwise, the type Id is generated from the name of the JavaScript Object.
+     * Otherwise, the type registered for the class of the JavaScript Object in {@link TypeRegistry} is used,
+     * and if the class is not registered, the type Id is generated from the name of the JavaScript Object.
+     *
+     * The type Id and the field Ids are generated by the default mappers and are generated again
+     * by the mappers of the client the BinaryObject is written by,
+     * if the client is configured with other mappers ({@link IgniteClientConfiguration#setBinaryIdMapper}).
      *
      * @async
      *
@@ -118,24 +125,7 @@ export class BinaryObject {
     static async fromObject(jsObject, complexObjectType = null) {
         ArgumentChecker.notEmpty(jsObject, 'jsObject');
         ArgumentChecker.hasType(complexObjectType, 'complexObjectType', false, ComplexObjectType);
-        const typeBuilder = BinaryTypeBuilder.fromObject(jsObject, complexObjectType);
-        const result = new BinaryObject(typeBuilder.getTypeName());
-        result._typeBuilder = typeBuilder;
-        let fieldName;
-        for (let field of result._typeBuilder.getFields()) {
-            fieldName = field.name;
-            if (jsObject && jsObject[fieldName] !== undefined) {
-                result.setField(
-                    fieldName,
-                    jsObject[fieldName],
-                    complexObjectType ? complexObjectType._getFieldType(fieldName) : null);
-            }
-            else {
-                throw IgniteClientError.serializationError(
-                    true, Util.format('field "%s" is undefined', fieldName));
-            }
-        }
-        return result;
+        return await BinaryObject._fromObject(jsObject, complexObjectType, BinaryMapping.default);
     }
 
     /**
@@ -161,7 +151,7 @@ export class BinaryObject {
     setField(fieldName, fieldValue, fieldType = null) {
         ArgumentChecker.notEmpty(fieldName, 'fieldName');
         this._modified = true;
-        const field = new BinaryObjectField(fieldName, fieldValue, fieldType);
+        const field = new BinaryObjectField(this._typeBuilder.getFieldId(fieldName), fieldName, fieldValue, fieldType);
         this._fields.set(field.id, field);
         this._typeBuilder.setField(fieldName, field.typeCode);
         return this;
@@ -180,7 +170,7 @@ export class BinaryObject {
     removeField(fieldName) {
         ArgumentChecker.notEmpty(fieldName, 'fieldName');
         this._modified = true;
-        this._fields.delete(BinaryField._calculateId(fieldName));
+        this._fields.delete(this._typeBuilder.getFieldId(fieldName));
         this._typeBuilder.removeField(fieldName);
         return this;
     }
@@ -196,7 +186,7 @@ export class BinaryObject {
      */
     hasField(fieldName) {
         ArgumentChecker.notEmpty(fieldName, 'fieldName');
-        return this._fields.has(BinaryField._calculateId(fieldName));
+        return this._fields.has(this._typeBuilder.getFieldId(fieldName));
     }
 
     /**
@@ -221,23 +211,29 @@ export class BinaryObject {
      */
     async getField(fieldName, fieldType = null) {
         ArgumentChecker.notEmpty(fieldName, 'fieldName');
-        const field = this._fields.get(BinaryField._calculateId(fieldName));
+        const field = this._fields.get(this._typeBuilder.getFieldId(fieldName));
         return field ? await field.getValue(fieldType) : undefined;
     }
 
     /**
      * Deserializes this BinaryObject instance into an instance of the specified complex object type.
      *
+     * If the complex object type is not specified, the class registered in {@link TypeRegistry}
+     * for the type name of this BinaryObject instance is used.
+     *
      * @async
      *
-     * @param {ComplexObjectType} complexObjectType - instance of class representing complex object type.
+     * @param {ComplexObjectType} [complexObjectType] - instance of class representing complex object type.
      *
      * @return {object} - instance of the JavaScript object
      *   which corresponds to the specified complex object type.
      *
      * @throws {IgniteClientError} if error.
      */
-    async toObject(complexObjectType) {
+    async toObject(complexObjectType = null) {
+        if (!complexObjectType) {
+            complexObjectType = TypeRegistry._getByTypeName(this.getTypeName(), this._typeBuilder.mapping);
+        }
         ArgumentChecker.notNull(complexObjectType, 'complexObjectType');
         ArgumentChecker.hasType(complexObjectType, 'complexObjectType', false, ComplexObjectType);
         const result = new (complexObjectType._objectConstructor);
@@ -297,6 +293,33 @@ export class BinaryObject {
         return (flags & flag) === flag;
     }
 
+    /**
+     * @ignore
+     */
+    static async _fromObject(jsObject, complexObjectType: ComplexObjectType, mapping: BinaryMapping) {
+        if (!complexObjectType) {
+            complexObjectType = TypeRegistry._getByObject(jsObject);
+        }
+        const typeBuilder = BinaryTypeBuilder.fromObject(jsObject, complexObjectType, mapping);
+        const result = new BinaryObject(typeBuilder.getTypeName());
+        result._typeBuilder = typeBuilder;
+        let fieldName;
+        for (let field of result._typeBuilder.getFields()) {
+            fieldName = field.name;
+            if (jsObject && jsObject[fieldName] !== undefined) {
+                result.setField(
+                    fieldName,
+                    jsObject[fieldName],
+                    complexObjectType ? complexObjectType._getFieldType(fieldName) : null);
+            }
+            else {
+                throw IgniteClientError.serializationError(
+                    true, Util.format('field "%s" is undefined', fieldName));
+            }
+        }
+        return result;
+    }
+
     /**
      * @ignore
      */
@@ -327,10 +350,33 @@ export class BinaryObject {
         return this._typeBuilder.getTypeId();
     }
 
+    /**
+     * The type and field ids are generated again if the object is created or read by a client with other mappers.
+     *
+     * @ignore
+     */
+    _useMapping(mapping: BinaryMapping) {
+        if (this._typeBuilder.mapping === mapping) {
+            return;
+        }
+        const typeBuilder = BinaryTypeBuilder.fromTypeName(this._typeBuilder.getClassName(), mapping);
+        const fields = new Map<number, BinaryObjectField>();
+        for (let field of this._fields.values()) {
+            const binaryField = this._typeBuilder.getField(field.id);
+            typeBuilder.setField(binaryField.name, binaryField.typeCode);
+            field.id = typeBuilder.getFieldId(binaryField.name);
+            fields.set(field.id, field);
+        }
+        this._typeBuilder = typeBuilder;
+        this._fields = fields;
+        this._modified = true;
+    }
+
     /**
      * @ignore
      */
     async _write(communicator, buffer) {
+        this._useMapping(communicator.mapping);
         if (this._buffer && !this._modified) {
             buffer.writeBuffer(this._buffer.buffer, this._startPos, this._startPos + this._length);
         }
@@ -363,8 +409,9 @@ export class BinaryObject {
             this._modified = false;
         }
 
-        if (Logger.debug) {
-            Logger.logDebug('BinaryObject._write [' + [...this._buffer.getSlice(this._startPos, this._startPos + this._length)] + ']');
+        if (communicator.logger.isEnabled(LOG_CATEGORY.SERIALIZATION, LOG_LEVEL.DEBUG)) {
+            communicator.logger.logDebug(LOG_CATEGORY.SERIALIZATION, 'BinaryObject._write: %s',
+                this._buffer.getSlice(this._startPos, this._startPos + this._length).toString('hex'));
         }
     }
 
@@ -507,9 +554,9 @@ export class BinaryObjectField {
 
     private _length: number;
 
-    constructor(name: string, value = undefined, type = null) {
+    constructor(id: number, name: string, value = undefined, type = null) {
         this._name = name;
-        this._id = BinaryField._calculateId(name);
+        this._id = id;
         this._value = value;
         this._type = type;
         if (!type && value !== undefined && value !== null) {
@@ -525,6 +572,10 @@ export class BinaryObjectField {
         return this._id;
     }
 
+    set id(id: number) {
+        this._id = id;
+    }
+
     get typeCode() {
         return this._typeCode;
     }
@@ -550,7 +601,7 @@ export class BinaryObjectField {
     }
 
     static _fromBuffer(communicator: BinaryCommunicator, buffer: MessageBuffer, offset: number, length: number, id: number) {
-        const result = new BinaryObjectField(null);
+        const result = new BinaryObjectField(0, null);
         result._id = id;
         result._communicator = communicator;
         result._buffer = buffer;
@@ -23,6 +23,48 @@ import BinaryCommunicator from "./internal/BinaryCommunicator";
 import {PRIMITIVE_TYPE} from "./internal/Constants";
 import { CompositeType } from "./ObjectType";
 import {CacheConfiguration} from "./CacheConfiguration";
+import { ContinuousQuery, ContinuousQueryHandle } from "./ContinuousQuery";
+import { PROTOCOL_FEATURE, RequestContext, RequestOptions } from "./internal/ClientSocket";
+import { ClientTransaction } from "./ClientTransactions";
+import MessageBuffer from "./internal/MessageBuffer";
+import { IgniteClientError } from "./Errors";
+
+// Cache operation is a part of the active transaction
+const FLAG_TRANSACTIONAL = 0x02;
+// Cache operation returns complex objects as BinaryObject
+const FLAG_KEEP_BINARY = 0x01;
+// Cache operation uses the expiry policy specified by the client
+const FLAG_WITH_EXPIRY_POLICY = 0x04;
+
+/**
+ * Special values of the expiry policy durations.
+ * @typedef CacheClient.EXPIRY_DURATION
+ * @enum
+ * @readonly
+ * @property ETERNAL -1 The entry never expires.
+ * @property UNCHANGED -2 The expiration time of the entry is not changed by the operation.
+ */
+export enum EXPIRY_DURATION {
+    ETERNAL = -1,
+    UNCHANGED = -2
+}
+
+/**
+ * Expiry policy of the cache operations.
+ *
+ * Every duration is either a non-negative number of milliseconds after which the entry expires
+ * or one of {@link CacheClient.EXPIRY_DURATION} values. Omitted durations are UNCHANGED.
+ *
+ * @typedef CacheClient.ExpiryPolicy
+ * @property {number} [create] - expiration duration of the created entries.
+ * @property {number} [update] - expiration duration of the updated entries.
+ * @property {number} [access] - expiration duration of the accessed entries.
+ */
+export interface ExpiryPolicy {
+    create?: number;
+    update?: number;
+    access?: number;
+}
 
 /**
  * Peek modes
@@ -54,6 +96,15 @@ const PEEK_MODE = Object.freeze({
  *   - methods to operate with the cache using Key-Value Queries
  *   - methods to operate with the cache using SQL and Scan Queries
  *
+ * If partition awareness is enabled, the keys of the multi-key operations are sent to their primary nodes
+ * in parallel requests, one request per node: always by getAll() and containsKeys() methods,
+ * and by putAll(), removeKeys() and clearKeys() methods only if the cache client has been obtained
+ * with the configuration of ATOMIC atomicity mode (by createCache() or getOrCreateCache() methods
+ * of {@link IgniteClient}). Such an update is not atomic: if one of the requests fails,
+ * the changes made by the other requests remain, and the error of the first failed request is thrown
+ * after all requests are completed. The updates of the other caches and of the transactions
+ * are sent in one request.
+ *
  * @hideconstructor
  */
 export class CacheClient {
@@ -63,11 +114,18 @@ export class CacheClient {
     private _valueType: PRIMITIVE_TYPE | CompositeType;
     private _name: string;
     private _config: CacheConfiguration;
+    private _expiryPolicy: ExpiryPolicy;
+    private _keepBinary: boolean;
+    private _transaction: ClientTransaction;
 
     static get PEEK_MODE() {
         return PEEK_MODE;
     }
 
+    static get EXPIRY_DURATION() {
+        return EXPIRY_DURATION;
+    }
+
     /* Methods to configure the cache client */
 
     /**
@@ -128,6 +186,82 @@ export class CacheClient {
         return this;
     }
 
+    /**
+     * Returns a view of the cache which applies the specified expiry policy to the entries
+     * created, updated or accessed by its operations.
+     * This cache client is not changed.
+     *
+     * The returned cache client has the same key and value types as this cache client.
+     * The operations of the returned cache client fail if the server does not support the expiry policy.
+     *
+     * @param {CacheClient.ExpiryPolicy} expiryPolicy - expiry policy.
+     *
+     * @return {CacheClient} - new cache client instance with the expiry policy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    withExpiryPolicy(expiryPolicy: ExpiryPolicy): CacheClient {
+        ArgumentChecker.notNull(expiryPolicy, 'expiryPolicy');
+        for (let name of ['create', 'update', 'access']) {
+            if (expiryPolicy[name] !== undefined) {
+                ArgumentChecker.isInteger(expiryPolicy[name], 'expiryPolicy.' + name);
+                if (expiryPolicy[name] < 0 &&
+                    expiryPolicy[name] !== EXPIRY_DURATION.ETERNAL && expiryPolicy[name] !== EXPIRY_DURATION.UNCHANGED) {
+                    throw IgniteClientError.illegalArgumentError(
+                        '"expiryPolicy.' + name + '" argument should not be negative, except EXPIRY_DURATION values');
+                }
+            }
+        }
+
+        const cache = this._copy();
+        cache._expiryPolicy = {
+            create : expiryPolicy.create === undefined ? EXPIRY_DURATION.UNCHANGED : expiryPolicy.create,
+            update : expiryPolicy.update === undefined ? EXPIRY_DURATION.UNCHANGED : expiryPolicy.update,
+            access : expiryPolicy.access === undefined ? EXPIRY_DURATION.UNCHANGED : expiryPolicy.access
+        };
+        return cache;
+    }
+
+    /**
+     * Returns a view of the cache which returns the keys and values of complex types as {@link BinaryObject}
+     * instances, without deserialization to JavaScript objects, regardless of the key and value types
+     * specified for the cache client. This applies to the results of SQL and Scan queries as well.
+     * This cache client is not changed.
+     *
+     * The returned cache client has the same key and value types as this cache client,
+     * they are still used to write the keys and values.
+     *
+     * @return {CacheClient} - new cache client instance which keeps binary objects.
+     */
+    withKeepBinary(): CacheClient {
+        const cache = this._copy();
+        cache._keepBinary = true;
+        return cache;
+    }
+
+    /**
+     * Returns a view of the cache which executes the key-value operations inside the specified transaction.
+     * This cache client is not changed, and its operations are not a part of the transaction.
+     *
+     * The operations of the view are sent to the node which started the transaction
+     * and are not retried if the connection is lost. SQL and Scan queries are not a part of the transaction.
+     *
+     * The returned cache client has the same key and value types as this cache client.
+     *
+     * @param {ClientTransaction} transaction - transaction started by the same client.
+     *
+     * @return {CacheClient} - new cache client instance bound to the transaction.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    withTransaction(transaction: ClientTransaction): CacheClient {
+        ArgumentChecker.notNull(transaction, 'transaction');
+        ArgumentChecker.hasType(transaction, 'transaction', false, ClientTransaction);
+        const cache = this._copy();
+        cache._transaction = transaction;
+        return cache;
+    }
+
     /* Methods to operate with the cache using Key-Value Queries */
 
     /**
@@ -136,13 +270,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<*>} - value associated with the specified key, or null if it does not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async get(key) {
-        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET, key);
+    async get(key, options: RequestOptions = null) {
+        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET, key, options);
     }
 
     /**
@@ -151,31 +286,33 @@ export class CacheClient {
      * @async
      *
      * @param {Array<*>} keys - keys.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<Array<CacheEntry>>} - the retrieved entries (key-value pairs).
      *   Entries with the keys which do not exist in the cache are not included into the array.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAll(keys) {
+    async getAll(keys, options: RequestOptions = null) {
         ArgumentChecker.notEmpty(keys, 'keys');
         ArgumentChecker.hasType(keys, 'keys', false, Array);
-        let result = null;
-        await this._communicator.send(
+        const result = [];
+        await this._sendByPrimaryNode(
             BinaryUtils.OPERATION.CACHE_GET_ALL,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                await this._writeKeys(payload, keys);
+            keys,
+            (key: object) => key,
+            async (payload, batch) => {
+                await this._writeKeys(payload, batch);
             },
             async (payload) => {
                 const resultCount = payload.readInteger();
-                result = new Array(resultCount);
                 for (let i = 0; i < resultCount; i++) {
-                    result[i] = new CacheEntry(
-                        await this._communicator.readObject(payload, this._getKeyType()),
-                        await this._communicator.readObject(payload, this._getValueType()));
+                    result.push(new CacheEntry(
+                        await this._communicator.readObject(payload, this._getReadKeyType()),
+                        await this._communicator.readObject(payload, this._getReadValueType())));
                 }
-            });
+            },
+            options);
         return result;
     }
 
@@ -189,11 +326,12 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @throws {IgniteClientError} if error.
      */
-    async put(key, value) {
-        await this._writeKeyValueOp(BinaryUtils.OPERATION.CACHE_PUT, key, value);
+    async put(key, value, options: RequestOptions = null) {
+        await this._writeKeyValueOp(BinaryUtils.OPERATION.CACHE_PUT, key, value, options);
     }
 
     /**
@@ -202,24 +340,30 @@ export class CacheClient {
      * Overwrites the previous value if a key exists in the cache,
      * otherwise creates new entry (key-value pair).
      *
+     * The entries of an ATOMIC cache may be updated by several requests, see the description of the class.
+     *
      * @async
      *
      * @param {Array<CacheEntry>} entries - entries (key-value pairs) to be put into the cache.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @throws {IgniteClientError} if error.
      */
-    async putAll(entries) {
+    async putAll(entries, options: RequestOptions = null) {
         ArgumentChecker.notEmpty(entries, 'entries');
         ArgumentChecker.hasType(entries, 'entries', true, CacheEntry);
-        await this._communicator.send(
+        await this._sendByPrimaryNode(
             BinaryUtils.OPERATION.CACHE_PUT_ALL,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                payload.writeInteger(entries.length);
-                for (let entry of entries) {
+            entries,
+            (entry: CacheEntry) => entry.getKey(),
+            async (payload, batch: CacheEntry[]) => {
+                payload.writeInteger(batch.length);
+                for (let entry of batch) {
                     await this._writeKeyValue(payload, entry.getKey(), entry.getValue());
                 }
-            });
+            },
+            null,
+            options);
     }
 
     /**
@@ -228,13 +372,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key to check.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if the key exists, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async containsKey(key) {
-        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEY, key);
+    async containsKey(key, options: RequestOptions = null) {
+        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEY, key, options);
     }
 
     /**
@@ -243,14 +388,15 @@ export class CacheClient {
      * @async
      *
      * @param {Array<*>} keys - keys to check.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if all the keys exist,
      *   false if at least one of the keys does not exist in the cache.
      *
      * @throws {IgniteClientError} if error.
      */
-    async containsKeys(keys) {
-        return await this._writeKeysReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEYS, keys);
+    async containsKeys(keys, options: RequestOptions = null) {
+        return await this._writeKeysReadBooleanOp(BinaryUtils.OPERATION.CACHE_CONTAINS_KEYS, keys, options);
     }
 
     /**
@@ -264,13 +410,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<*>} - the previous value associated with the specified key, or null if it did not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndPut(key, value) {
-        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT, key, value);
+    async getAndPut(key, value, options: RequestOptions = null) {
+        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT, key, value, options);
     }
 
     /**
@@ -282,13 +429,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<*>} - the previous value associated with the specified key, or null if it did not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndReplace(key, value) {
-        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REPLACE, key, value);
+    async getAndReplace(key, value, options: RequestOptions = null) {
+        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REPLACE, key, value, options);
     }
 
     /**
@@ -298,13 +446,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key of the entry to be removed.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<*>} - the last value associated with the specified key, or null if it did not exist.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndRemove(key) {
-        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REMOVE, key);
+    async getAndRemove(key, options: RequestOptions = null) {
+        return await this._writeKeyReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_REMOVE, key, options);
     }
 
     /**
@@ -315,13 +464,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async putIfAbsent(key, value) {
-        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_PUT_IF_ABSENT, key, value);
+    async putIfAbsent(key, value, options: RequestOptions = null) {
+        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_PUT_IF_ABSENT, key, value, options);
     }
 
     /**
@@ -332,14 +482,16 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<*>} - the current value associated with the key if it already exists in the cache,
      *   null if the new entry is created.
      *
      * @throws {IgniteClientError} if error.
      */
-    async getAndPutIfAbsent(key, value) {
-        return await this._writeKeyValueReadValueOp(BinaryUtils.OPERATION.CACHE_GET_AND_PUT_IF_ABSENT, key, value);
+    async getAndPutIfAbsent(key, value, options: RequestOptions = null) {
+        return await this._writeKeyValueReadValueOp(
+            BinaryUtils.OPERATION.CACHE_GET_AND_PUT_IF_ABSENT, key, value, options);
     }
 
     /**
@@ -350,13 +502,14 @@ export class CacheClient {
      *
      * @param {*} key - key.
      * @param {*} value - value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async replace(key, value) {
-        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REPLACE, key, value);
+    async replace(key, value, options: RequestOptions = null) {
+        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REPLACE, key, value, options);
     }
 
     /**
@@ -369,12 +522,13 @@ export class CacheClient {
      * @param {*} key - key.
      * @param {*} value - value to be compared with the current value associated with the specified key.
      * @param {*} newValue - new value to be associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async replaceIfEquals(key, value, newValue) {
+    async replaceIfEquals(key, value, newValue, options: RequestOptions = null) {
         ArgumentChecker.notNull(key, 'key');
         ArgumentChecker.notNull(value, 'value');
         ArgumentChecker.notNull(newValue, 'newValue');
@@ -389,7 +543,8 @@ export class CacheClient {
             async (payload) => {
                 result = payload.readBoolean();
             },
-            this._createAffinityHint(key));
+            this._createAffinityHint(key),
+            this._getRequestContext(options));
         return result;
     }
 
@@ -398,14 +553,19 @@ export class CacheClient {
      *
      * @async
      *
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
+     *
      * @throws {IgniteClientError} if error.
      */
-    async clear() {
+    async clear(options: RequestOptions = null) {
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_CLEAR,
             async (payload) => {
                 this._writeCacheInfo(payload);
-            });
+            },
+            null,
+            null,
+            this._getRequestContext(options));
     }
 
     /**
@@ -414,24 +574,28 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key to be removed.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @throws {IgniteClientError} if error.
      */
-    async clearKey(key) {
-        await this._writeKeyOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEY, key);
+    async clearKey(key, options: RequestOptions = null) {
+        await this._writeKeyOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEY, key, options);
     }
 
     /**
      * Removes entries with the specified keys from the cache, without notifying listeners and cache writers.
      *
+     * The entries of an ATOMIC cache may be updated by several requests, see the description of the class.
+     *
      * @async
      *
      * @param {Array<*>} keys - keys to be removed.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @throws {IgniteClientError} if error.
      */
-    async clearKeys(keys) {
-        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEYS, keys);
+    async clearKeys(keys, options: RequestOptions = null) {
+        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_CLEAR_KEYS, keys, options);
     }
 
     /**
@@ -440,13 +604,14 @@ export class CacheClient {
      * @async
      *
      * @param {*} key - key to be removed.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async removeKey(key) {
-        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEY, key);
+    async removeKey(key, options: RequestOptions = null) {
+        return await this._writeKeyReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEY, key, options);
     }
 
     /**
@@ -457,26 +622,30 @@ export class CacheClient {
      *
      * @param {*} key - key to be removed.
      * @param {*} value - value to be compared with the current value associated with the specified key.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @return {Promise<boolean>} - true if the operation has been done, false otherwise.
      *
      * @throws {IgniteClientError} if error.
      */
-    async removeIfEquals(key, value) {
-        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_IF_EQUALS, key, value);
+    async removeIfEquals(key, value, options: RequestOptions = null) {
+        return await this._writeKeyValueReadBooleanOp(BinaryUtils.OPERATION.CACHE_REMOVE_IF_EQUALS, key, value, options);
     }
 
     /**
      * Removes entries with the specified keys from the cache, notifying listeners and cache writers.
      *
+     * The entries of an ATOMIC cache may be updated by several requests, see the description of the class.
+     *
      * @async
      *
      * @param {Array<*>} keys - keys to be removed.
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
      *
      * @throws {IgniteClientError} if error.
      */
-    async removeKeys(keys) {
-        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEYS, keys);
+    async removeKeys(keys, options: RequestOptions = null) {
+        await this._writeKeysOp(BinaryUtils.OPERATION.CACHE_REMOVE_KEYS, keys, options);
     }
 
     /**
@@ -484,14 +653,19 @@ export class CacheClient {
      *
      * @async
      *
+     * @param {CacheClient.RequestOptions} [options] - options of the request: timeout and abort signal.
+     *
      * @throws {IgniteClientError} if error.
      */
-    async removeAll() {
+    async removeAll(options: RequestOptions = null) {
         await this._communicator.send(
             BinaryUtils.OPERATION.CACHE_REMOVE_ALL,
             async (payload) => {
                 this._writeCacheInfo(payload);
-            });
+            },
+            null,
+            null,
+            this._getRequestContext(options));
     }
 
     /**
@@ -519,7 +693,9 @@ export class CacheClient {
             },
             async (payload) => {
                 result = payload.readLong().toNumber();
-            });
+            },
+            null,
+            this._getRequestContext());
         return result;
     }
 
@@ -543,18 +719,73 @@ export class CacheClient {
         ArgumentChecker.hasType(query, 'query', false, SqlQuery, SqlFieldsQuery, ScanQuery);
 
         let value = null;
-        await this._communicator.send(
+        const socket = await this._communicator.send(
             query._operation,
             async (payload) => {
-                this._writeCacheInfo(payload);
+                this._writeCacheInfo(payload, false);
                 await query._write(this._communicator, payload);
             },
             async (payload) => {
-                value = await query._getCursor(this._communicator, payload, this._keyType, this._valueType);
-            });
+                value = await query._getCursor(
+                    this._communicator, payload, this._getReadKeyType(), this._getReadValueType());
+            },
+            null,
+            this._getRequestContext(null, false));
+        value._setConnection(socket);
         return value;
     }
 
+    /**
+     * Starts a continuous query which listens to the changes of the cache entries.
+     *
+     * The events are delivered to the returned handle until it is closed
+     * or the connection to the node which runs the query is lost.
+     * If the initial query is specified, it is executed as a separate query after the listener is registered,
+     * so no changes are missed, but the entries changed in the meantime may be both in the initial query results
+     * and in the events, and the order of the results and the events is not guaranteed.
+     *
+     * @async
+     *
+     * @param {ContinuousQuery} query - continuous query to be started.
+     *
+     * @return {Promise<ContinuousQueryHandle>} - handle of the running query.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support continuous queries or other error.
+     */
+    async queryContinuous(query: ContinuousQuery): Promise<ContinuousQueryHandle> {
+        ArgumentChecker.notNull(query, 'query');
+        ArgumentChecker.hasType(query, 'query', false, ContinuousQuery);
+
+        const socket = this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.NOTIFICATIONS);
+
+        let handle: ContinuousQueryHandle = null;
+        await socket.sendRequest(
+            BinaryUtils.OPERATION.QUERY_CONTINUOUS,
+            async (payload) => {
+                this._writeCacheInfo(payload, false);
+                query._write(payload);
+            },
+            async (payload) => {
+                // The listener must be registered before the next message from the socket is processed
+                handle = new ContinuousQueryHandle(
+                    payload.readLong(), socket, this._communicator, this._getReadKeyType(), this._getReadValueType(),
+                    query.queueSize);
+            },
+            this._getRequestContext());
+
+        if (query.initialQuery) {
+            try {
+                handle.initialQueryCursor = await this.query(query.initialQuery);
+            }
+            catch (err) {
+                await handle.close();
+                throw err;
+            }
+        }
+        return handle;
+    }
+
     /** Private methods */
 
     /**
@@ -567,6 +798,22 @@ export class CacheClient {
         this._keyType = null;
         this._valueType = null;
         this._communicator = communicator;
+        this._expiryPolicy = null;
+        this._keepBinary = false;
+        this._transaction = null;
+    }
+
+    /**
+     * @ignore
+     */
+    _copy(): CacheClient {
+        const cache = new CacheClient(this._name, this._config, this._communicator);
+        cache._keyType = this._keyType;
+        cache._valueType = this._valueType;
+        cache._expiryPolicy = this._expiryPolicy;
+        cache._keepBinary = this._keepBinary;
+        cache._transaction = this._transaction;
+        return cache;
     }
 
     /**
@@ -578,7 +825,7 @@ export class CacheClient {
         await socket.sendRequest(
             BinaryUtils.OPERATION.CACHE_LOCAL_PEEK,
             async (payload) => {
-                this._writeCacheInfo(payload);
+                this._writeCacheInfo(payload, false);
                 await this._communicator.writeObject(payload, key, this._getKeyType());
                 payload.writeInteger(peekModes.length);
                 for (let mode of peekModes) {
@@ -586,8 +833,9 @@ export class CacheClient {
                 }
             },
             async (payload) => {
-                value = await this._communicator.readObject(payload, this._getValueType());
-            });
+                value = await this._communicator.readObject(payload, this._getReadValueType());
+            },
+            this._getRequestContext());
         return value;
     }
 
@@ -601,9 +849,28 @@ export class CacheClient {
     /**
      * @ignore
      */
-    _writeCacheInfo(payload) {
+    _writeCacheInfo(payload, transactional = true) {
+        const transaction = transactional ? this._transaction : null;
+        let flags = 0;
+        if (this._keepBinary) {
+            flags |= FLAG_KEEP_BINARY;
+        }
+        if (transaction) {
+            flags |= FLAG_TRANSACTIONAL;
+        }
+        if (this._expiryPolicy) {
+            flags |= FLAG_WITH_EXPIRY_POLICY;
+        }
         payload.writeInteger(this._cacheId);
-        payload.writeByte(0);
+        payload.writeByte(flags);
+        if (this._expiryPolicy) {
+            payload.writeLong(this._expiryPolicy.create);
+            payload.writeLong(this._expiryPolicy.update);
+            payload.writeLong(this._expiryPolicy.access);
+        }
+        if (transaction) {
+            payload.writeInteger(transaction.id);
+        }
     }
 
     /**
@@ -641,7 +908,21 @@ export class CacheClient {
     /**
      * @ignore
      */
-    async _writeKeyValueOp(operation, key, value, payloadReader = null) {
+    _getReadKeyType() {
+        return this._keepBinary ? BinaryUtils.getKeepBinaryType(this._keyType) : this._keyType;
+    }
+
+    /**
+     * @ignore
+     */
+    _getReadValueType() {
+        return this._keepBinary ? BinaryUtils.getKeepBinaryType(this._valueType) : this._valueType;
+    }
+
+    /**
+     * @ignore
+     */
+    async _writeKeyValueOp(operation, key, value, options: RequestOptions, payloadReader = null) {
         ArgumentChecker.notNull(key, 'key');
         ArgumentChecker.notNull(value, 'value');
         await this._communicator.send(
@@ -651,18 +932,19 @@ export class CacheClient {
                 await this._writeKeyValue(payload, key, value);
             },
             payloadReader,
-            this._createAffinityHint(key));
+            this._createAffinityHint(key),
+            this._getRequestContext(options));
     }
 
     /**
      * @ignore
      */
-    async _writeKeyValueReadValueOp(operation, key, value) {
+    async _writeKeyValueReadValueOp(operation, key, value, options: RequestOptions) {
         let result = null;
         await this._writeKeyValueOp(
-            operation, key, value,
+            operation, key, value, options,
             async (payload) => {
-                result = await this._communicator.readObject(payload, this._getValueType());
+                result = await this._communicator.readObject(payload, this._getReadValueType());
             });
         return result;
     }
@@ -670,10 +952,10 @@ export class CacheClient {
     /**
      * @ignore
      */
-    async _writeKeyValueReadBooleanOp(operation, key, value) {
+    async _writeKeyValueReadBooleanOp(operation, key, value, options: RequestOptions) {
         let result = false;
         await this._writeKeyValueOp(
-            operation, key, value,
+            operation, key, value, options,
             async (payload) => {
                 result = payload.readBoolean();
             });
@@ -683,7 +965,7 @@ export class CacheClient {
     /**
      * @ignore
      */
-    async _writeKeyOp(operation, key, payloadReader = null) {
+    async _writeKeyOp(operation, key, options: RequestOptions, payloadReader = null) {
         ArgumentChecker.notNull(key, 'key');
         await this._communicator.send(
             operation,
@@ -692,18 +974,19 @@ export class CacheClient {
                 await this._communicator.writeObject(payload, key, this._getKeyType());
             },
             payloadReader,
-            this._createAffinityHint(key));
+            this._createAffinityHint(key),
+            this._getRequestContext(options));
     }
 
     /**
      * @ignore
      */
-    async _writeKeyReadValueOp(operation, key) {
+    async _writeKeyReadValueOp(operation, key, options: RequestOptions) {
         let value = null;
         await this._writeKeyOp(
-            operation, key,
+            operation, key, options,
             async (payload) => {
-                value = await this._communicator.readObject(payload, this._getValueType());
+                value = await this._communicator.readObject(payload, this._getReadValueType());
             });
         return value;
     }
@@ -711,10 +994,10 @@ export class CacheClient {
     /**
      * @ignore
      */
-    async _writeKeyReadBooleanOp(operation, key) {
+    async _writeKeyReadBooleanOp(operation, key, options: RequestOptions) {
         let result = false;
         await this._writeKeyOp(
-            operation, key,
+            operation, key, options,
             async (payload) => {
                 result = payload.readBoolean();
             });
@@ -724,31 +1007,105 @@ export class CacheClient {
     /**
      * @ignore
      */
-    async _writeKeysOp(operation, keys, payloadReader = null) {
+    async _writeKeysOp(operation, keys, options: RequestOptions, payloadReader = null) {
         ArgumentChecker.notEmpty(keys, 'keys');
         ArgumentChecker.hasType(keys, 'keys', false, Array);
-        await this._communicator.send(
+        await this._sendByPrimaryNode(
             operation,
-            async (payload) => {
-                this._writeCacheInfo(payload);
-                await this._writeKeys(payload, keys);
+            keys,
+            (key: object) => key,
+            async (payload, batch) => {
+                await this._writeKeys(payload, batch);
             },
-            payloadReader);
+            payloadReader,
+            options);
     }
 
     /**
      * @ignore
      */
-    async _writeKeysReadBooleanOp(operation, keys) {
-        let result = false;
+    async _writeKeysReadBooleanOp(operation, keys, options: RequestOptions) {
+        // The keys may be sent to several nodes, the result is true only if it is true for all of them
+        let result = true;
         await this._writeKeysOp(
-            operation, keys,
+            operation, keys, options,
             async (payload) => {
-                result = payload.readBoolean();
+                result = payload.readBoolean() && result;
             });
         return result;
     }
 
+    /**
+     * @ignore
+     */
+    async _sendByPrimaryNode<T>(operation, items: T[], getKey: (item: T) => object,
+                                itemsWriter: (payload: MessageBuffer, batch: T[]) => Promise<void>,
+                                payloadReader, options: RequestOptions) {
+        // The items of a transaction are sent to the node which started it
+        const groups = this._transaction || !this._canSplit(operation) ?
+            null :
+            await this._communicator.router.groupByPrimaryNode(this._cacheId, items, getKey, this._keyType);
+        if (!groups) {
+            await this._communicator.send(
+                operation,
+                async (payload) => {
+                    this._writeCacheInfo(payload);
+                    await itemsWriter(payload, items);
+                },
+                payloadReader,
+                null,
+                this._getRequestContext(options));
+            return;
+        }
+
+        // Every batch is sent via the connection it is grouped by, all batches are sent in parallel.
+        // The error is thrown when all requests are completed
+        const errors = [];
+        await Promise.all([...groups].map(([connection, batch]) => this._communicator.send(
+            operation,
+            async (payload) => {
+                this._writeCacheInfo(payload);
+                await itemsWriter(payload, batch);
+            },
+            payloadReader,
+            this._createAffinityHint(getKey(batch[0])),
+            Object.assign(this._getRequestContext(options), { connection : connection })).
+            catch((err) => {
+                errors.push(err);
+            })));
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+    }
+
+    /**
+     * The read operations are split by the primary nodes of the keys always. The updates are split
+     * only if the cache is known to be ATOMIC, as the updates of the other caches are atomic in one request only.
+     *
+     * @ignore
+     */
+    _canSplit(operation): boolean {
+        if (operation === BinaryUtils.OPERATION.CACHE_GET_ALL || operation === BinaryUtils.OPERATION.CACHE_CONTAINS_KEYS) {
+            return true;
+        }
+        return this._config !== null &&
+            <any>this._config.getAtomicityMode() === CacheConfiguration.CACHE_ATOMICITY_MODE.ATOMIC;
+    }
+
+    /**
+     * @ignore
+     */
+    _getRequestContext(options: RequestOptions = null, transactional = true): RequestContext {
+        const context: RequestContext = Object.assign({}, options, { cacheName: this._name });
+        if (transactional && this._transaction) {
+            context.transaction = this._transaction;
+        }
+        if (this._expiryPolicy) {
+            context.feature = PROTOCOL_FEATURE.EXPIRY_POLICY;
+        }
+        return context;
+    }
+
     /**
      * @ignore
      */
@@ -0,0 +1,170 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import BinaryType from "./internal/BinaryType";
+
+/**
+ * Class representing a binary type known to the client.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via types() method of {@link ClientBinary} objects.
+ *
+ * @hideconstructor
+ */
+export class BinaryTypeInfo {
+
+    private _type: BinaryType;
+
+    /**
+     * Returns the id of the type.
+     *
+     * @return {number} - the type id.
+     */
+    getTypeId(): number {
+        return this._type.id;
+    }
+
+    /**
+     * Returns the name of the type.
+     *
+     * @return {string} - the type name.
+     */
+    getTypeName(): string {
+        return this._type.name;
+    }
+
+    /**
+     * Returns the fields of the type.
+     *
+     * @return {Map<string, number>} - map of the field names to the type codes of the fields
+     *   {@link ObjectType.PRIMITIVE_TYPE} or {@link ObjectType.COMPOSITE_TYPE}.
+     */
+    getFields(): Map<string, number> {
+        const result = new Map<string, number>();
+        for (const field of this._type.fields) {
+            result.set(field.name, field.typeCode);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the schemas of the type, ie. the sets of the fields the objects of the type are written with.
+     *
+     * @return {Map<number, Array<string>>} - map of the schema ids to the names of the fields of the schemas.
+     */
+    getSchemas(): Map<number, string[]> {
+        const result = new Map<number, string[]>();
+        for (const schema of this._type.schemas) {
+            result.set(schema.id, schema.fieldIds.map(fieldId => {
+                const field = this._type.getField(fieldId);
+                return field ? field.name : String(fieldId);
+            }));
+        }
+        return result;
+    }
+
+    /**
+     * Checks if the type is an enum type.
+     *
+     * @return {boolean} - true if the type is an enum type, false otherwise.
+     */
+    isEnum(): boolean {
+        return this._type.isEnum;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(type: BinaryType) {
+        this._type = type;
+    }
+}
+
+/**
+ * Class providing access to the binary types and the mapping of the type ids to the type names.
+ *
+ * The type names are registered for Java platform, so that the objects written by the client
+ * are deserialized on the server side and by Java clients into the classes with the same names.
+ * The name of a complex type is registered automatically when the type is written by the client first time.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via binary() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ClientBinary {
+
+    private _communicator: BinaryCommunicator;
+
+    /**
+     * Registers the name of the type with the specified id.
+     *
+     * @async
+     *
+     * @param {number} typeId - type id.
+     * @param {string} typeName - type name, eg. the name of Java class.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the id is registered with another name or other error.
+     */
+    async registerTypeName(typeId: number, typeName: string) {
+        ArgumentChecker.isInteger(typeId, 'typeId');
+        ArgumentChecker.notEmpty(typeName, 'typeName');
+        await this._communicator.typeStorage.registerTypeName(typeId, typeName);
+    }
+
+    /**
+     * Returns the name registered for the type with the specified id.
+     *
+     * @async
+     *
+     * @param {number} typeId - type id.
+     *
+     * @return {Promise<string>} - the type name.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the name is not registered or other error.
+     */
+    async getTypeName(typeId: number): Promise<string> {
+        ArgumentChecker.isInteger(typeId, 'typeId');
+        return await this._communicator.typeStorage.getTypeName(typeId);
+    }
+
+    /**
+     * Returns the binary types known to the client: written by the client
+     * or read by it from the cluster, since the client creation.
+     *
+     * @return {Array<BinaryTypeInfo>} - the binary types.
+     */
+    types(): BinaryTypeInfo[] {
+        return this._communicator.typeStorage.types.map(type => new BinaryTypeInfo(type));
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator) {
+        this._communicator = communicator;
+    }
+}
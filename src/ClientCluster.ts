@@ -0,0 +1,182 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import { PROTOCOL_FEATURE } from "./internal/ClientSocket";
+import { ClusterGroup } from "./ClusterGroup";
+
+/**
+ * Cluster states.
+ * @typedef ClientCluster.CLUSTER_STATE
+ * @enum
+ * @readonly
+ * @property INACTIVE 0 Cache operations are prohibited.
+ * @property ACTIVE 1 All cache operations are allowed.
+ * @property ACTIVE_READ_ONLY 2 Only read cache operations are allowed.
+ */
+export enum CLUSTER_STATE {
+    INACTIVE = 0,
+    ACTIVE = 1,
+    ACTIVE_READ_ONLY = 2
+}
+
+/**
+ * Class providing access to the cluster-wide operations.
+ * It is also the group of all nodes of the cluster.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via cluster() method of {@link IgniteClient} objects.
+ *
+ * @extends ClusterGroup
+ * @hideconstructor
+ */
+export class ClientCluster extends ClusterGroup {
+
+    static get CLUSTER_STATE() {
+        return CLUSTER_STATE;
+    }
+
+    /**
+     * Returns the current state of the cluster.
+     *
+     * @async
+     *
+     * @return {Promise<ClientCluster.CLUSTER_STATE>} - the cluster state.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the cluster API or other error.
+     */
+    async state(): Promise<CLUSTER_STATE> {
+        let state;
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.CLUSTER_API).sendRequest(
+            BinaryUtils.OPERATION.CLUSTER_GET_STATE,
+            null,
+            async (payload) => {
+                state = payload.readByte();
+            });
+        return state;
+    }
+
+    /**
+     * Changes the state of the cluster.
+     *
+     * Deactivation clears the in-memory caches (without persistence) including the system caches.
+     *
+     * @async
+     *
+     * @param {ClientCluster.CLUSTER_STATE} state - new cluster state.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the cluster API or other error.
+     */
+    async setState(state: CLUSTER_STATE) {
+        ArgumentChecker.hasValueFrom(state, 'state', false, CLUSTER_STATE);
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.CLUSTER_API).sendRequest(
+            BinaryUtils.OPERATION.CLUSTER_CHANGE_STATE,
+            async (payload) => {
+                payload.writeByte(state);
+            });
+    }
+
+    /**
+     * Disables write-ahead logging for the specified cache.
+     *
+     * @async
+     *
+     * @param {string} cacheName - cache name.
+     *
+     * @return {Promise<boolean>} - true if the WAL state has been changed, false if it was already disabled.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the cluster API or other error.
+     */
+    async disableWal(cacheName: string): Promise<boolean> {
+        return await this._changeWalState(cacheName, false);
+    }
+
+    /**
+     * Enables write-ahead logging for the specified cache.
+     *
+     * @async
+     *
+     * @param {string} cacheName - cache name.
+     *
+     * @return {Promise<boolean>} - true if the WAL state has been changed, false if it was already enabled.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the cluster API or other error.
+     */
+    async enableWal(cacheName: string): Promise<boolean> {
+        return await this._changeWalState(cacheName, true);
+    }
+
+    /**
+     * Checks if write-ahead logging is enabled for the specified cache.
+     *
+     * @async
+     *
+     * @param {string} cacheName - cache name.
+     *
+     * @return {Promise<boolean>} - true if the WAL is enabled, false otherwise.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the cluster API or other error.
+     */
+    async isWalEnabled(cacheName: string): Promise<boolean> {
+        ArgumentChecker.notEmpty(cacheName, 'cacheName');
+        let result;
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.CLUSTER_API).sendRequest(
+            BinaryUtils.OPERATION.CLUSTER_GET_WAL_STATE,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, cacheName);
+            },
+            async (payload) => {
+                result = payload.readBoolean();
+            });
+        return result;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator) {
+        super(communicator);
+    }
+
+    /**
+     * @ignore
+     */
+    async _changeWalState(cacheName: string, enable: boolean): Promise<boolean> {
+        ArgumentChecker.notEmpty(cacheName, 'cacheName');
+        let result;
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.CLUSTER_API).sendRequest(
+            BinaryUtils.OPERATION.CLUSTER_CHANGE_WAL_STATE,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, cacheName);
+                payload.writeBoolean(enable);
+            },
+            async (payload) => {
+                result = payload.readBoolean();
+            });
+        return result;
+    }
+}
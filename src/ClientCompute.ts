@@ -0,0 +1,218 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket, { AbortSignalLike, PROTOCOL_FEATURE } from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { IgniteClientError } from "./Errors";
+import { ClusterGroup } from "./ClusterGroup";
+import { LOG_CATEGORY } from "./IgniteClientConfiguration";
+
+const FLAG_NO_FAILOVER = 0x01;
+const FLAG_NO_RESULT_CACHE = 0x02;
+
+/**
+ * Options of the compute task execution.
+ *
+ * @typedef ClientCompute.ComputeTaskOptions
+ * @property {number} [timeout=0] - task timeout in milliseconds. Zero value means no timeout.
+ * @property {boolean} [noFailover=false] - if true, the jobs of the task are not failed over to other nodes.
+ * @property {boolean} [noResultCache=false] - if true, the results of the jobs are not cached on the server.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [argType] - type of the task argument.
+ *   If not specified, the type is inferred from the argument value.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [resultType] - expected type of the task result.
+ *   If not specified, the type is taken from the received data.
+ * @property {AbortSignal} [signal] - signal to cancel the task.
+ */
+export interface ComputeTaskOptions {
+    timeout?: number;
+    noFailover?: boolean;
+    noResultCache?: boolean;
+    argType?: PRIMITIVE_TYPE | CompositeType;
+    resultType?: PRIMITIVE_TYPE | CompositeType;
+    signal?: AbortSignalLike;
+}
+
+/**
+ * Class providing access to the compute grid of the cluster.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via compute() method of {@link IgniteClient} objects.
+ * The tasks are executed on the nodes of the cluster group specified in compute() method,
+ * or on all server nodes if the group is not specified.
+ *
+ * @hideconstructor
+ */
+export class ClientCompute {
+
+    private _communicator: BinaryCommunicator;
+
+    private _clusterGroup: ClusterGroup;
+
+    /**
+     * Executes a compute task deployed on the server by its name (usually the full class name of the task).
+     *
+     * The task may be cancelled via the signal specified in the options.
+     * In this case the returned promise is rejected and the task is cancelled on the server.
+     *
+     * @async
+     *
+     * @param {string} taskName - name of the task.
+     * @param {*} [arg=null] - argument of the task.
+     * @param {ClientCompute.ComputeTaskOptions} [options] - options of the execution.
+     *
+     * @return {Promise<*>} - the result of the task.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {OperationError} if the task fails on the server.
+     * @throws {IgniteClientError} if the task is cancelled, the cluster group is empty,
+     *   the server does not support the task execution or other error.
+     */
+    async execute(taskName: string, arg: any = null, options: ComputeTaskOptions = {}): Promise<any> {
+        ArgumentChecker.notEmpty(taskName, 'taskName');
+        ArgumentChecker.notNull(options, 'options');
+        const timeout = options.timeout || 0;
+        ArgumentChecker.isInteger(timeout, 'options.timeout');
+
+        // Empty array means all server nodes
+        let nodeIds = [];
+        if (this._clusterGroup) {
+            nodeIds = await this._clusterGroup._getNodeIds();
+            if (nodeIds.length === 0) {
+                throw IgniteClientError.emptyClusterGroupError();
+            }
+        }
+
+        const socket = this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.EXECUTE_TASK_BY_NAME, nodeIds);
+
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            throw IgniteClientError.operationCancelledError();
+        }
+
+        let flags = 0;
+        if (options.noFailover) {
+            flags |= FLAG_NO_FAILOVER;
+        }
+        if (options.noResultCache) {
+            flags |= FLAG_NO_RESULT_CACHE;
+        }
+
+        return new Promise(async (resolve, reject) => {
+            let taskId = null;
+            let finished = false;
+
+            const finish = (error: Error, result: any = null) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (taskId !== null) {
+                    socket.removeNotificationListener(BinaryUtils.OPERATION.COMPUTE_TASK_FINISHED, taskId);
+                }
+                if (error) {
+                    reject(error);
+                }
+                else {
+                    resolve(result);
+                }
+            };
+
+            const onAbort = () => {
+                const id = taskId;
+                finish(IgniteClientError.operationCancelledError());
+                // If the task is not started yet, it is cancelled when the task id is received
+                if (id !== null) {
+                    this._cancelTask(socket, id);
+                }
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            try {
+                await socket.sendRequest(
+                    BinaryUtils.OPERATION.COMPUTE_TASK_EXECUTE,
+                    async (payload) => {
+                        payload.writeInteger(nodeIds.length);
+                        for (let nodeId of nodeIds) {
+                            this._communicator._writeUUID(payload, nodeId);
+                        }
+                        payload.writeByte(flags);
+                        payload.writeLong(timeout);
+                        BinaryCommunicator.writeString(payload, taskName);
+                        await this._communicator.writeObject(payload, arg, options.argType || null);
+                    },
+                    async (payload) => {
+                        const id = payload.readLong();
+                        if (finished) {
+                            this._cancelTask(socket, id);
+                            return;
+                        }
+                        taskId = id;
+                        // The listener must be registered before the next message from the socket is processed
+                        socket.addNotificationListener(
+                            BinaryUtils.OPERATION.COMPUTE_TASK_FINISHED, taskId,
+                            (payload: MessageBuffer, error: Error) => {
+                                if (error) {
+                                    finish(error);
+                                    return;
+                                }
+                                this._communicator.readObject(payload, options.resultType || null).
+                                    then(result => finish(null, result)).
+                                    catch(err => finish(err));
+                            });
+                    });
+            }
+            catch (err) {
+                finish(err);
+            }
+        });
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator, clusterGroup: ClusterGroup = null) {
+        this._communicator = communicator;
+        this._clusterGroup = clusterGroup;
+    }
+
+    /**
+     * @ignore
+     */
+    _cancelTask(socket: ClientSocket, taskId: Long) {
+        socket.sendRequest(
+            BinaryUtils.OPERATION.RESOURCE_CLOSE,
+            async (payload) => {
+                payload.writeLong(taskId);
+            }).
+            catch(err => this._communicator.logger.logDebug(
+                LOG_CATEGORY.PROTOCOL, 'Compute task cancellation failed: %s', err.message));
+    }
+}
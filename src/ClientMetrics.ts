@@ -0,0 +1,483 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import { OPERATION } from "./internal/BinaryUtils";
+import { IgniteClientConfiguration, LOG_CATEGORY, RequestHooks } from "./IgniteClientConfiguration";
+
+// Upper bounds of the latency histogram buckets, in milliseconds
+const LATENCY_BOUNDS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
+
+/**
+ * Class representing a request to the server which is passed to the request hooks.
+ *
+ * The class has no public constructor. Instances of this class are passed
+ * to the hooks specified by setRequestHooks() method of {@link IgniteClientConfiguration}.
+ *
+ * @hideconstructor
+ */
+export class RequestInfo {
+
+    private _requestId: string;
+
+    private _opCode: OPERATION;
+
+    private _endpoint: string;
+
+    private _cacheName: string;
+
+    private _startTime: Date;
+
+    private _start: [number, number];
+
+    private _duration: number;
+
+    private _error: Error;
+
+    /**
+     * Returns the id of the request, unique within the connection.
+     *
+     * @return {string} - the request id.
+     */
+    getRequestId(): string {
+        return this._requestId;
+    }
+
+    /**
+     * Returns the code of the operation.
+     *
+     * @return {number} - the operation code.
+     */
+    getOpCode(): number {
+        return this._opCode;
+    }
+
+    /**
+     * Returns the name of the operation, eg. CACHE_GET.
+     *
+     * @return {string} - the operation name.
+     */
+    getOperation(): string {
+        return OPERATION[this._opCode];
+    }
+
+    /**
+     * Returns the endpoint of the node the request is sent to.
+     *
+     * @return {string} - the node endpoint.
+     */
+    getEndpoint(): string {
+        return this._endpoint;
+    }
+
+    /**
+     * Returns the name of the cache the request is issued for.
+     *
+     * @return {string} - the cache name, or null if the request is not a cache operation.
+     */
+    getCacheName(): string {
+        return this._cacheName;
+    }
+
+    /**
+     * Returns the time when the request has been started.
+     *
+     * @return {Date} - the start time.
+     */
+    getStartTime(): Date {
+        return this._startTime;
+    }
+
+    /**
+     * Returns the duration of the request.
+     *
+     * @return {number} - the duration in milliseconds, or null if the request is not completed yet.
+     */
+    getDuration(): number {
+        return this._duration;
+    }
+
+    /**
+     * Returns the error the request has failed with.
+     *
+     * @return {Error} - the error, or null if the request is not completed yet or is completed successfully.
+     */
+    getError(): Error {
+        return this._error;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(requestId: string, opCode: OPERATION, endpoint: string, cacheName: string) {
+        this._requestId = requestId;
+        this._opCode = opCode;
+        this._endpoint = endpoint;
+        this._cacheName = cacheName;
+        this._startTime = new Date();
+        this._start = process.hrtime();
+        this._duration = null;
+        this._error = null;
+    }
+
+    /**
+     * @ignore
+     */
+    _complete(error: Error) {
+        const [seconds, nanoseconds] = process.hrtime(this._start);
+        this._duration = seconds * 1000 + nanoseconds / 1e6;
+        this._error = error;
+    }
+}
+
+/**
+ * Class representing a histogram of the request latencies.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via getLatencyHistogram() method of {@link ClientMetrics} objects.
+ *
+ * @hideconstructor
+ */
+export class LatencyHistogram {
+
+    private _counts: number[];
+
+    private _count: number;
+
+    private _sum: number;
+
+    private _max: number;
+
+    /**
+     * Returns the upper bounds of the histogram buckets.
+     *
+     * @return {Array<number>} - the bucket bounds in milliseconds, in ascending order.
+     */
+    getBounds(): number[] {
+        return [...LATENCY_BOUNDS];
+    }
+
+    /**
+     * Returns the numbers of the requests in the histogram buckets.
+     * The last bucket contains the requests which are longer than the last bound.
+     *
+     * @return {Array<number>} - the numbers of the requests, one more than the number of the bounds.
+     */
+    getCounts(): number[] {
+        return [...this._counts];
+    }
+
+    /**
+     * Returns the total number of the requests.
+     *
+     * @return {number} - the number of the requests.
+     */
+    getCount(): number {
+        return this._count;
+    }
+
+    /**
+     * Returns the total duration of the requests.
+     *
+     * @return {number} - the sum of the latencies in milliseconds.
+     */
+    getSum(): number {
+        return this._sum;
+    }
+
+    /**
+     * Returns the maximal duration of the requests.
+     *
+     * @return {number} - the maximal latency in milliseconds, or zero if there were no requests.
+     */
+    getMax(): number {
+        return this._max;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor() {
+        this._counts = new Array(LATENCY_BOUNDS.length + 1).fill(0);
+        this._count = 0;
+        this._sum = 0;
+        this._max = 0;
+    }
+
+    /**
+     * @ignore
+     */
+    _record(latency: number) {
+        let bucket = LATENCY_BOUNDS.findIndex(bound => latency <= bound);
+        if (bucket < 0) {
+            bucket = LATENCY_BOUNDS.length;
+        }
+        this._counts[bucket]++;
+        this._count++;
+        this._sum += latency;
+        this._max = Math.max(this._max, latency);
+    }
+
+    /**
+     * @ignore
+     */
+    _merge(other: LatencyHistogram) {
+        for (let i = 0; i < this._counts.length; i++) {
+            this._counts[i] += other._counts[i];
+        }
+        this._count += other._count;
+        this._sum += other._sum;
+        this._max = Math.max(this._max, other._max);
+    }
+}
+
+/**
+ * Class providing the metrics of the client: requests and their latencies, traffic,
+ * reconnections and efficiency of the partition awareness.
+ *
+ * The metrics are accumulated since the client creation or the last reset() call,
+ * including the previous connections of the client.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via metrics() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ClientMetrics {
+
+    private _communicator: BinaryCommunicator;
+
+    private _hooks: RequestHooks;
+
+    private _requests: Map<OPERATION, LatencyHistogram>;
+
+    private _bytesSent: number;
+
+    private _bytesReceived: number;
+
+    private _reconnects: number;
+
+    private _affinityHits: number;
+
+    private _affinityMisses: number;
+
+    /**
+     * Returns the numbers of the completed requests per operation.
+     *
+     * @return {Map<string, number>} - map of the operation names, eg. CACHE_GET, to the numbers of the requests.
+     */
+    getRequestCounts(): Map<string, number> {
+        const counts = new Map<string, number>();
+        for (const [opCode, histogram] of this._requests) {
+            counts.set(OPERATION[opCode], histogram.getCount());
+        }
+        return counts;
+    }
+
+    /**
+     * Returns the histogram of the latencies of the completed requests.
+     *
+     * @param {string} [operation] - name of the operation, eg. CACHE_GET.
+     *   If not specified, the histogram of all requests is returned.
+     *
+     * @return {LatencyHistogram} - the latency histogram.
+     */
+    getLatencyHistogram(operation: string = null): LatencyHistogram {
+        const result = new LatencyHistogram();
+        for (const [opCode, histogram] of this._requests) {
+            if (operation === null || OPERATION[opCode] === operation) {
+                result._merge(histogram);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Returns the numbers of the requests which are sent but not responded yet, per connection.
+     *
+     * @return {Map<string, number>} - map of the endpoints of the connected nodes to the numbers of the requests.
+     */
+    getInFlightRequests(): Map<string, number> {
+        const result = new Map<string, number>();
+        for (const socket of this._communicator.router._getAllSockets()) {
+            result.set(socket.endpoint, (result.get(socket.endpoint) || 0) + socket.inFlightRequests);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the number of the bytes sent to the server.
+     *
+     * @return {number} - the number of the bytes.
+     */
+    getBytesSent(): number {
+        return this._bytesSent;
+    }
+
+    /**
+     * Returns the number of the bytes received from the server.
+     *
+     * @return {number} - the number of the bytes.
+     */
+    getBytesReceived(): number {
+        return this._bytesReceived;
+    }
+
+    /**
+     * Returns the number of the reconnections after the connection to the cluster has been lost.
+     *
+     * @return {number} - the number of the reconnections.
+     */
+    getReconnectCount(): number {
+        return this._reconnects;
+    }
+
+    /**
+     * Returns the number of the requests with a key which are sent to the primary node of the key.
+     *
+     * @return {number} - the number of the requests.
+     */
+    getAffinityHits(): number {
+        return this._affinityHits;
+    }
+
+    /**
+     * Returns the number of the requests with a key which are sent to a random node,
+     * because the primary node of the key is not known or not connected.
+     *
+     * @return {number} - the number of the requests.
+     */
+    getAffinityMisses(): number {
+        return this._affinityMisses;
+    }
+
+    /**
+     * Returns the part of the requests with a key which are sent to the primary node of the key.
+     * Only the requests sent while the partition awareness is active are taken into account.
+     *
+     * @return {number} - the ratio from 0 to 1, or null if there were no such requests.
+     */
+    getAffinityHitRatio(): number {
+        const total = this._affinityHits + this._affinityMisses;
+        return total > 0 ? this._affinityHits / total : null;
+    }
+
+    /**
+     * Resets all metrics to zero.
+     */
+    reset() {
+        this._requests = new Map<OPERATION, LatencyHistogram>();
+        this._bytesSent = 0;
+        this._bytesReceived = 0;
+        this._reconnects = 0;
+        this._affinityHits = 0;
+        this._affinityMisses = 0;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator) {
+        this._communicator = communicator;
+        this._hooks = null;
+        this.reset();
+    }
+
+    /**
+     * @ignore
+     */
+    configure(config: IgniteClientConfiguration) {
+        this._hooks = config.requestHooks;
+    }
+
+    /**
+     * @ignore
+     */
+    onRequestStart(requestId: string, opCode: OPERATION, endpoint: string, cacheName: string): [RequestInfo, any] {
+        const info = new RequestInfo(requestId, opCode, endpoint, cacheName);
+        let context = null;
+        if (this._hooks && this._hooks.onRequestStart) {
+            try {
+                context = this._hooks.onRequestStart(info);
+            }
+            catch (err) {
+                this._communicator.logger.logWarn(LOG_CATEGORY.PROTOCOL, 'Request start hook failed: %s', err.message);
+            }
+        }
+        return [info, context];
+    }
+
+    /**
+     * @ignore
+     */
+    onRequestEnd(info: RequestInfo, context: any, error: Error) {
+        info._complete(error);
+        const opCode = <OPERATION>info.getOpCode();
+        if (!this._requests.has(opCode)) {
+            this._requests.set(opCode, new LatencyHistogram());
+        }
+        this._requests.get(opCode)._record(info.getDuration());
+        if (this._hooks && this._hooks.onRequestEnd) {
+            try {
+                this._hooks.onRequestEnd(info, context);
+            }
+            catch (err) {
+                this._communicator.logger.logWarn(LOG_CATEGORY.PROTOCOL, 'Request end hook failed: %s', err.message);
+            }
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    onBytesSent(bytes: number) {
+        this._bytesSent += bytes;
+    }
+
+    /**
+     * @ignore
+     */
+    onBytesReceived(bytes: number) {
+        this._bytesReceived += bytes;
+    }
+
+    /**
+     * @ignore
+     */
+    onReconnect() {
+        this._reconnects++;
+    }
+
+    /**
+     * @ignore
+     */
+    onAffinityChoice(hit: boolean) {
+        if (hit) {
+            this._affinityHits++;
+        }
+        else {
+            this._affinityMisses++;
+        }
+    }
+}
@@ -0,0 +1,363 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import { PROTOCOL_FEATURE } from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { ClusterGroup } from "./ClusterGroup";
+import { IgniteClientError } from "./Errors";
+
+// Properties which are looked up by JavaScript runtime and libraries, they are never service methods
+const NON_SERVICE_PROPERTIES = new Set<string>(
+    ['then', 'toJSON', 'inspect', ...Object.getOwnPropertyNames(Object.prototype)]);
+
+/**
+ * Platforms the services are implemented on.
+ * @typedef ServiceDescriptor.PLATFORM
+ * @enum
+ * @readonly
+ * @property JAVA 0
+ * @property DOTNET 1
+ */
+export enum PLATFORM {
+    JAVA = 0,
+    DOTNET = 1
+}
+
+/**
+ * Types of the arguments and the result of a service method.
+ *
+ * @typedef ClientServices.ServiceMethodTypes
+ * @property {Array<ObjectType.PRIMITIVE_TYPE | CompositeType>} [argTypes] - types of the method arguments.
+ *   If a type is not specified, it is inferred from the argument value.
+ * @property {ObjectType.PRIMITIVE_TYPE | CompositeType} [resultType] - expected type of the method result.
+ *   If not specified, the type is taken from the received data.
+ */
+export interface ServiceMethodTypes {
+    argTypes?: Array<PRIMITIVE_TYPE | CompositeType>;
+    resultType?: PRIMITIVE_TYPE | CompositeType;
+}
+
+/**
+ * Options of the service proxy.
+ *
+ * @typedef ClientServices.ServiceProxyOptions
+ * @property {number} [timeout=0] - timeout of the service method invocation in milliseconds.
+ *   Zero value means no timeout.
+ * @property {ClusterGroup} [clusterGroup] - group of the nodes to invoke the service on.
+ *   If not specified, the service is invoked on any node it is deployed on.
+ * @property {Object<string, ClientServices.ServiceMethodTypes>} [methodTypes] - types of the arguments
+ *   and the results of the service methods, by method name.
+ */
+export interface ServiceProxyOptions {
+    timeout?: number;
+    clusterGroup?: ClusterGroup;
+    methodTypes?: { [methodName: string]: ServiceMethodTypes };
+}
+
+/**
+ * Class representing a descriptor of a service deployed in the cluster.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via getServiceDescriptors() method of {@link ClientServices} objects.
+ *
+ * @hideconstructor
+ */
+export class ServiceDescriptor {
+
+    private _name: string;
+
+    private _serviceClass: string;
+
+    private _totalCount: number;
+
+    private _maxPerNodeCount: number;
+
+    private _cacheName: string;
+
+    private _originNodeId: number[];
+
+    private _platform: PLATFORM;
+
+    private _topology: Map<string, number>;
+
+    static get PLATFORM() {
+        return PLATFORM;
+    }
+
+    /**
+     * Returns the name of the service.
+     *
+     * @return {string} - the service name.
+     */
+    getName(): string {
+        return this._name;
+    }
+
+    /**
+     * Returns the class name of the service implementation.
+     *
+     * @return {string} - the service class name.
+     */
+    getServiceClass(): string {
+        return this._serviceClass;
+    }
+
+    /**
+     * Returns the maximum number of the service instances in the cluster.
+     *
+     * @return {number} - the total count. Zero value means no limit.
+     */
+    getTotalCount(): number {
+        return this._totalCount;
+    }
+
+    /**
+     * Returns the maximum number of the service instances per node.
+     *
+     * @return {number} - the count per node. Zero value means no limit.
+     */
+    getMaxPerNodeCount(): number {
+        return this._maxPerNodeCount;
+    }
+
+    /**
+     * Returns the name of the cache the service is affinity-collocated with.
+     *
+     * @return {string} - the cache name, or null if the service is not affinity-collocated.
+     */
+    getCacheName(): string {
+        return this._cacheName;
+    }
+
+    /**
+     * Returns the id of the node which has initiated the service deployment.
+     *
+     * @return {number[]} - UUID of the node represented by array of bytes.
+     */
+    getOriginNodeId(): number[] {
+        return this._originNodeId;
+    }
+
+    /**
+     * Returns the platform the service is implemented on.
+     *
+     * @return {ServiceDescriptor.PLATFORM} - the platform.
+     */
+    getPlatform(): PLATFORM {
+        return this._platform;
+    }
+
+    /**
+     * Returns the numbers of the service instances deployed on the nodes.
+     *
+     * @return {Map<string, number>} - map of the node ids (converted to string) to the numbers of instances.
+     */
+    getTopology(): Map<string, number> {
+        return this._topology;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor() {
+        this._name = null;
+        this._serviceClass = null;
+        this._totalCount = 0;
+        this._maxPerNodeCount = 0;
+        this._cacheName = null;
+        this._originNodeId = null;
+        this._platform = PLATFORM.JAVA;
+        this._topology = new Map<string, number>();
+    }
+
+    /**
+     * @ignore
+     */
+    async _read(communicator: BinaryCommunicator, buffer: MessageBuffer) {
+        this._name = BinaryCommunicator.readString(buffer);
+        this._serviceClass = BinaryCommunicator.readString(buffer);
+        this._totalCount = buffer.readInteger();
+        this._maxPerNodeCount = buffer.readInteger();
+        this._cacheName = BinaryCommunicator.readString(buffer);
+        this._originNodeId = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
+        this._platform = buffer.readByte();
+        const topologySize = buffer.readInteger();
+        for (let i = 0; i < topologySize; i++) {
+            const nodeId = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
+            this._topology.set('' + nodeId, buffer.readInteger());
+        }
+    }
+}
+
+/**
+ * Class providing access to the services deployed in the cluster.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via services() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class ClientServices {
+
+    private _communicator: BinaryCommunicator;
+
+    /**
+     * Returns a proxy of the service deployed in the cluster.
+     *
+     * Every method call on the proxy, eg. proxy.calculate(arg1, arg2), invokes the service method
+     * with the same name and arguments on the server and returns a promise resolved with the method result.
+     *
+     * The symbol properties, the properties of Object.prototype (eg. constructor, toString)
+     * and then, toJSON, inspect properties are not service methods: the proxy behaves as an empty object for them,
+     * so that the proxy is not taken for a promise and can be printed or serialized.
+     *
+     * @param {string} name - name of the service.
+     * @param {ClientServices.ServiceProxyOptions} [options] - options of the proxy.
+     *
+     * @return {*} - the service proxy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    serviceProxy(name: string, options: ServiceProxyOptions = {}): any {
+        ArgumentChecker.notEmpty(name, 'name');
+        ArgumentChecker.notNull(options, 'options');
+        const timeout = options.timeout || 0;
+        ArgumentChecker.isInteger(timeout, 'options.timeout');
+        const clusterGroup = options.clusterGroup || null;
+        ArgumentChecker.hasType(clusterGroup, 'options.clusterGroup', false, ClusterGroup);
+        const methodTypes = options.methodTypes || {};
+
+        return new Proxy({}, {
+            get: (target, property) => {
+                if (typeof property !== 'string' || NON_SERVICE_PROPERTIES.has(property)) {
+                    return Reflect.get(target, property);
+                }
+                return (...args) => this._invoke(
+                    name, property, args, timeout, clusterGroup, methodTypes[property] || {});
+            }
+        });
+    }
+
+    /**
+     * Returns the descriptors of all services deployed in the cluster.
+     *
+     * @async
+     *
+     * @return {Promise<Array<ServiceDescriptor>>} - the service descriptors.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the service descriptors or other error.
+     */
+    async getServiceDescriptors(): Promise<ServiceDescriptor[]> {
+        const descriptors = [];
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.GET_SERVICE_DESCRIPTORS).sendRequest(
+            BinaryUtils.OPERATION.SERVICE_GET_DESCRIPTORS,
+            null,
+            async (payload) => {
+                const count = payload.readInteger();
+                for (let i = 0; i < count; i++) {
+                    const descriptor = new ServiceDescriptor();
+                    await descriptor._read(this._communicator, payload);
+                    descriptors.push(descriptor);
+                }
+            });
+        return descriptors;
+    }
+
+    /**
+     * Returns the descriptor of the service deployed in the cluster.
+     *
+     * @async
+     *
+     * @param {string} name - name of the service.
+     *
+     * @return {Promise<ServiceDescriptor>} - the service descriptor.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {OperationError} if the service is not deployed.
+     * @throws {IgniteClientError} if the server does not support the service descriptors or other error.
+     */
+    async getServiceDescriptor(name: string): Promise<ServiceDescriptor> {
+        ArgumentChecker.notEmpty(name, 'name');
+        const descriptor = new ServiceDescriptor();
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.GET_SERVICE_DESCRIPTORS).sendRequest(
+            BinaryUtils.OPERATION.SERVICE_GET_DESCRIPTOR,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, name);
+            },
+            async (payload) => {
+                await descriptor._read(this._communicator, payload);
+            });
+        return descriptor;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator) {
+        this._communicator = communicator;
+    }
+
+    /**
+     * @ignore
+     */
+    async _invoke(name: string, methodName: string, args: any[], timeout: number,
+                  clusterGroup: ClusterGroup, types: ServiceMethodTypes): Promise<any> {
+        // Empty array means all nodes the service is deployed on
+        let nodeIds = [];
+        if (clusterGroup) {
+            nodeIds = await clusterGroup._getNodeIds();
+            if (nodeIds.length === 0) {
+                throw IgniteClientError.emptyClusterGroupError();
+            }
+        }
+
+        const argTypes = types.argTypes || [];
+        let result = null;
+        await this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.SERVICE_INVOKE, nodeIds).sendRequest(
+            BinaryUtils.OPERATION.SERVICE_INVOKE,
+            async (payload) => {
+                BinaryCommunicator.writeString(payload, name);
+                // Flags: arguments are deserialized by the server, no parameter types
+                payload.writeByte(0);
+                payload.writeLong(timeout);
+                payload.writeInteger(nodeIds.length);
+                for (let nodeId of nodeIds) {
+                    this._communicator._writeUUID(payload, nodeId);
+                }
+                BinaryCommunicator.writeString(payload, methodName);
+                payload.writeInteger(args.length);
+                for (let i = 0; i < args.length; i++) {
+                    await this._communicator.writeObject(payload, args[i], argTypes[i] || null);
+                }
+            },
+            async (payload) => {
+                result = await this._communicator.readObject(payload, types.resultType || null);
+            });
+        return result;
+    }
+}
@@ -0,0 +1,250 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket, { PROTOCOL_FEATURE } from "./internal/ClientSocket";
+import Router from "./internal/Router";
+import { IllegalStateError, LostConnectionError } from "./Errors";
+
+/**
+ * Transaction concurrency control modes.
+ * @typedef ClientTransactions.TRANSACTION_CONCURRENCY
+ * @enum
+ * @readonly
+ * @property OPTIMISTIC 0
+ * @property PESSIMISTIC 1
+ */
+export enum TRANSACTION_CONCURRENCY {
+    OPTIMISTIC = 0,
+    PESSIMISTIC = 1
+}
+
+/**
+ * Transaction isolation levels.
+ * @typedef ClientTransactions.TRANSACTION_ISOLATION
+ * @enum
+ * @readonly
+ * @property READ_COMMITTED 0
+ * @property REPEATABLE_READ 1
+ * @property SERIALIZABLE 2
+ */
+export enum TRANSACTION_ISOLATION {
+    READ_COMMITTED = 0,
+    REPEATABLE_READ = 1,
+    SERIALIZABLE = 2
+}
+
+/**
+ * Class providing access to GridGain transactions.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via transactions() method of {@link IgniteClient} objects.
+ *
+ * A transaction is bound to the cache views returned by withTransaction() method of {@link CacheClient}:
+ * only the key-value operations of these views take part in the transaction and are sent to the node
+ * which started it. Other operations of the client, eg. of other asynchronous tasks, are not affected,
+ * and several transactions may be active at the same time.
+ *
+ * @hideconstructor
+ */
+export class ClientTransactions {
+
+    private _router: Router;
+
+    static get TRANSACTION_CONCURRENCY() {
+        return TRANSACTION_CONCURRENCY;
+    }
+
+    static get TRANSACTION_ISOLATION() {
+        return TRANSACTION_ISOLATION;
+    }
+
+    /**
+     * Starts a new transaction.
+     *
+     * @async
+     *
+     * @param {ClientTransactions.TRANSACTION_CONCURRENCY} [concurrency] - concurrency control mode.
+     *   If not specified, the server default is used.
+     * @param {ClientTransactions.TRANSACTION_ISOLATION} [isolation] - isolation level.
+     *   If not specified, the server default is used.
+     * @param {number} [timeout=0] - timeout in milliseconds. Zero value means the server default.
+     * @param {string} [label] - label of the transaction, shown in the server side monitoring.
+     *
+     * @return {Promise<ClientTransaction>} - the started transaction.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support transactions or other error.
+     */
+    async txStart(
+        concurrency: TRANSACTION_CONCURRENCY = null,
+        isolation: TRANSACTION_ISOLATION = null,
+        timeout: number = 0,
+        label: string = null): Promise<ClientTransaction> {
+        if (concurrency !== null) {
+            ArgumentChecker.hasValueFrom(concurrency, 'concurrency', false, TRANSACTION_CONCURRENCY);
+        }
+        if (isolation !== null) {
+            ArgumentChecker.hasValueFrom(isolation, 'isolation', false, TRANSACTION_ISOLATION);
+        }
+        ArgumentChecker.isInteger(timeout, 'timeout');
+
+        const socket = this._router.getFeatureConnection(PROTOCOL_FEATURE.TRANSACTIONS);
+
+        let txId;
+        await socket.sendRequest(
+            BinaryUtils.OPERATION.TX_START,
+            async (payload) => {
+                payload.writeByte(concurrency === null ? -1 : concurrency);
+                payload.writeByte(isolation === null ? -1 : isolation);
+                payload.writeLong(timeout);
+                BinaryCommunicator.writeString(payload, label);
+            },
+            async (payload) => {
+                txId = payload.readInteger();
+            });
+
+        return new ClientTransaction(txId, socket);
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(router: Router) {
+        this._router = router;
+    }
+}
+
+/**
+ * Class representing a GridGain transaction started by the client.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via txStart() method of {@link ClientTransactions} objects.
+ *
+ * @hideconstructor
+ */
+export class ClientTransaction {
+
+    private _id: number;
+
+    private _socket: ClientSocket;
+
+    private _closed: boolean;
+
+    /**
+     * Commits the transaction.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the transaction is already closed.
+     * @throws {IgniteClientError} if other error.
+     */
+    async commit() {
+        await this._end(true);
+    }
+
+    /**
+     * Rolls back the transaction.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the transaction is already closed.
+     * @throws {IgniteClientError} if other error.
+     */
+    async rollback() {
+        await this._end(false);
+    }
+
+    /**
+     * Closes the transaction. Rolls it back, if it has been neither committed nor rolled back.
+     * Does nothing if the transaction is already closed or is lost together with the connection.
+     *
+     * @async
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    async close() {
+        if (!this._closed) {
+            if (this._socket.isConnected) {
+                await this._end(false);
+            }
+            else {
+                // The server has rolled back the transaction
+                this._closed = true;
+            }
+        }
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(id: number, socket: ClientSocket) {
+        this._id = id;
+        this._socket = socket;
+        this._closed = false;
+    }
+
+    /**
+     * @ignore
+     */
+    get id(): number {
+        return this._id;
+    }
+
+    /**
+     * Returns the connection the requests of the transaction are sent via.
+     *
+     * @ignore
+     */
+    _getSocket(): ClientSocket {
+        if (this._closed) {
+            throw new IllegalStateError(null, 'The transaction is already closed');
+        }
+        if (!this._socket.isConnected) {
+            // The server rolls back the transaction when the connection is lost
+            throw new LostConnectionError('Transaction is lost together with the connection ' + this._socket.endpoint);
+        }
+        return this._socket;
+    }
+
+    /**
+     * @ignore
+     */
+    async _end(committed: boolean) {
+        if (this._closed) {
+            throw new IllegalStateError(null, 'The transaction is already closed');
+        }
+        try {
+            await this._socket.sendRequest(
+                BinaryUtils.OPERATION.TX_END,
+                async (payload) => {
+                    payload.writeInteger(this._id);
+                    payload.writeBoolean(committed);
+                });
+        }
+        finally {
+            this._closed = true;
+        }
+    }
+}
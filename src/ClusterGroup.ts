@@ -0,0 +1,449 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Long = require('long');
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket, { PROTOCOL_FEATURE } from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import { IgniteClientError } from "./Errors";
+
+/**
+ * Class representing a node of the cluster.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via nodes() method of {@link ClusterGroup} objects.
+ *
+ * @hideconstructor
+ */
+export class ClusterNode {
+
+    private _id: number[];
+
+    private _consistentId: object;
+
+    private _order: number;
+
+    private _isLocal: boolean;
+
+    private _isDaemon: boolean;
+
+    private _isClient: boolean;
+
+    private _addresses: string[];
+
+    private _hostNames: string[];
+
+    private _version: string;
+
+    private _attributes: Map<string, object>;
+
+    /**
+     * Returns the id of the node.
+     *
+     * @return {number[]} - UUID of the node represented by array of bytes.
+     */
+    getId(): number[] {
+        return this._id;
+    }
+
+    /**
+     * Returns the consistent id of the node, which is kept between restarts of the node.
+     *
+     * @return {*} - the consistent id.
+     */
+    getConsistentId(): object {
+        return this._consistentId;
+    }
+
+    /**
+     * Returns the order of the node in the topology. The oldest node has the smallest order.
+     *
+     * @return {number} - the node order.
+     */
+    getOrder(): number {
+        return this._order;
+    }
+
+    /**
+     * Checks if the node is the one the client request has been processed by.
+     *
+     * @return {boolean} - true if the node is local for the request, false otherwise.
+     */
+    isLocal(): boolean {
+        return this._isLocal;
+    }
+
+    /**
+     * Checks if the node is a daemon node.
+     *
+     * @return {boolean} - true if the node is a daemon node, false otherwise.
+     */
+    isDaemon(): boolean {
+        return this._isDaemon;
+    }
+
+    /**
+     * Checks if the node is a client node.
+     *
+     * @return {boolean} - true if the node is a client node, false if it is a server node.
+     */
+    isClient(): boolean {
+        return this._isClient;
+    }
+
+    /**
+     * Returns the addresses of the node.
+     *
+     * @return {string[]} - the addresses.
+     */
+    getAddresses(): string[] {
+        return this._addresses;
+    }
+
+    /**
+     * Returns the host names of the node.
+     *
+     * @return {string[]} - the host names.
+     */
+    getHostNames(): string[] {
+        return this._hostNames;
+    }
+
+    /**
+     * Returns the product version of the node.
+     *
+     * @return {string} - the version, eg. "8.8.1".
+     */
+    getVersion(): string {
+        return this._version;
+    }
+
+    /**
+     * Returns the value of the node attribute.
+     *
+     * @param {string} name - attribute name.
+     *
+     * @return {*} - attribute value, or undefined if the node has no such attribute.
+     */
+    getAttribute(name: string) {
+        return this._attributes.get(name);
+    }
+
+    /**
+     * Returns all the node attributes.
+     *
+     * @return {Map<string, *>} - the attributes.
+     */
+    getAttributes(): Map<string, object> {
+        return this._attributes;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor() {
+        this._id = null;
+        this._consistentId = null;
+        this._order = 0;
+        this._isLocal = false;
+        this._isDaemon = false;
+        this._isClient = false;
+        this._addresses = null;
+        this._hostNames = null;
+        this._version = null;
+        this._attributes = new Map<string, object>();
+    }
+
+    /**
+     * @ignore
+     */
+    async _read(communicator: BinaryCommunicator, buffer: MessageBuffer) {
+        this._id = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
+        this._consistentId = await communicator.readObject(buffer);
+        this._order = buffer.readLong().toNumber();
+        this._isLocal = buffer.readBoolean();
+        this._isDaemon = buffer.readBoolean();
+        this._isClient = buffer.readBoolean();
+        this._addresses = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING_ARRAY);
+        this._hostNames = await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.STRING_ARRAY);
+        // Product version: major, minor, maintenance, stage, revision timestamp and hash
+        const major = buffer.readByte();
+        const minor = buffer.readByte();
+        const maintenance = buffer.readByte();
+        const stage = BinaryCommunicator.readString(buffer);
+        buffer.readLong();
+        await communicator.readObject(buffer, BinaryUtils.TYPE_CODE.BYTE_ARRAY);
+        this._version = stage ?
+            [major, minor, maintenance].join('.') + '-' + stage :
+            [major, minor, maintenance].join('.');
+        const attributesCount = buffer.readInteger();
+        for (let i = 0; i < attributesCount; i++) {
+            const name = BinaryCommunicator.readString(buffer);
+            this._attributes.set(name, await communicator.readObject(buffer));
+        }
+    }
+}
+
+/**
+ * Predicate which selects the cluster nodes.
+ *
+ * @callback ClusterGroup.ClusterNodePredicate
+ * @param {ClusterNode} node - cluster node.
+ * @return {boolean} - true if the node belongs to the group, false otherwise.
+ */
+export type ClusterNodePredicate = (node: ClusterNode) => boolean;
+
+// Server side filters of the cluster group
+const FILTER_ATTRIBUTE = 1;
+const FILTER_SERVER_NODES = 2;
+
+/**
+ * Class representing a group of the cluster nodes.
+ *
+ * A group is defined by a set of filters. The attribute and the server nodes filters are applied
+ * by the server, other filters are applied by the client to the node info obtained from the server.
+ * The filters are applied every time the group nodes are requested, so the group reflects
+ * the current topology of the cluster.
+ *
+ * A group may be passed to compute() and services() methods of {@link IgniteClient} objects
+ * to restrict the nodes which execute compute tasks and service calls.
+ *
+ * The class has no public constructor. The group of all nodes of the cluster is the {@link ClientCluster}
+ * object obtained via cluster() method of {@link IgniteClient} objects. Other groups are created
+ * by the for*() methods.
+ *
+ * @hideconstructor
+ */
+export class ClusterGroup {
+
+    protected _communicator: BinaryCommunicator;
+
+    private _attributes: Array<[string, string]>;
+
+    private _serversOnly: boolean;
+
+    private _nodeFilters: Array<(nodes: ClusterNode[]) => ClusterNode[]>;
+
+    /**
+     * Creates a group of the nodes of this group which have the specified attribute with the specified value.
+     *
+     * @param {string} name - attribute name.
+     * @param {string} value - attribute value.
+     *
+     * @return {ClusterGroup} - new cluster group.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    forAttribute(name: string, value: string): ClusterGroup {
+        ArgumentChecker.notEmpty(name, 'name');
+        ArgumentChecker.notNull(value, 'value');
+        const group = this._copy();
+        group._attributes.push([name, value]);
+        return group;
+    }
+
+    /**
+     * Creates a group of the server nodes of this group.
+     *
+     * @return {ClusterGroup} - new cluster group.
+     */
+    forServers(): ClusterGroup {
+        const group = this._copy();
+        group._serversOnly = true;
+        return group;
+    }
+
+    /**
+     * Creates a group of the nodes of this group which have the specified ids.
+     *
+     * @param {...number[]} nodeIds - node ids, as returned by getId() method of {@link ClusterNode}.
+     *
+     * @return {ClusterGroup} - new cluster group.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    forNodeIds(...nodeIds: number[][]): ClusterGroup {
+        ArgumentChecker.notEmpty(nodeIds, 'nodeIds');
+        const ids = new Set(nodeIds.map(id => '' + id));
+        return this._copyWithFilter(nodes => nodes.filter(node => ids.has('' + node.getId())));
+    }
+
+    /**
+     * Creates a group of the oldest node of this group.
+     *
+     * @return {ClusterGroup} - new cluster group.
+     */
+    forOldest(): ClusterGroup {
+        return this._copyWithFilter(nodes => {
+            if (nodes.length === 0) {
+                return nodes;
+            }
+            return [nodes.reduce((oldest, node) => node.getOrder() < oldest.getOrder() ? node : oldest)];
+        });
+    }
+
+    /**
+     * Creates a group of the nodes of this group which satisfy the specified predicate.
+     *
+     * @param {ClusterGroup.ClusterNodePredicate} predicate - predicate which selects the nodes.
+     *
+     * @return {ClusterGroup} - new cluster group.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    forPredicate(predicate: ClusterNodePredicate): ClusterGroup {
+        ArgumentChecker.hasType(predicate, 'predicate', false, Function);
+        return this._copyWithFilter(nodes => nodes.filter(predicate));
+    }
+
+    /**
+     * Returns the nodes of the group.
+     *
+     * @async
+     *
+     * @return {Promise<Array<ClusterNode>>} - the nodes of the group.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the cluster groups or other error.
+     */
+    async nodes(): Promise<ClusterNode[]> {
+        const socket = this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.CLUSTER_GROUPS);
+        const nodeIds = await this._requestNodeIds(socket);
+
+        let nodes = [];
+        if (nodeIds.length === 0) {
+            return nodes;
+        }
+        await socket.sendRequest(
+            BinaryUtils.OPERATION.CLUSTER_GROUP_GET_NODE_INFO,
+            async (payload) => {
+                payload.writeInteger(nodeIds.length);
+                for (let nodeId of nodeIds) {
+                    this._communicator._writeUUID(payload, nodeId);
+                }
+            },
+            async (payload) => {
+                const count = payload.readInteger();
+                for (let i = 0; i < count; i++) {
+                    const node = new ClusterNode();
+                    await node._read(this._communicator, payload);
+                    nodes.push(node);
+                }
+            });
+
+        for (let filter of this._nodeFilters) {
+            nodes = filter(nodes);
+        }
+        return nodes;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(communicator: BinaryCommunicator) {
+        this._communicator = communicator;
+        this._attributes = [];
+        this._serversOnly = false;
+        this._nodeFilters = [];
+    }
+
+    /**
+     * Returns the ids of the group nodes.
+     * The node info is requested only if the group has filters applied by the client.
+     *
+     * @ignore
+     */
+    async _getNodeIds(): Promise<number[][]> {
+        if (this._nodeFilters.length > 0) {
+            return (await this.nodes()).map(node => node.getId());
+        }
+        return await this._requestNodeIds(this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.CLUSTER_GROUPS));
+    }
+
+    /**
+     * @ignore
+     */
+    async _requestNodeIds(socket: ClientSocket): Promise<number[][]> {
+        const nodeIds = [];
+        await socket.sendRequest(
+            BinaryUtils.OPERATION.CLUSTER_GROUP_GET_NODE_IDS,
+            async (payload) => {
+                // Unknown topology version, the server always returns the node ids
+                payload.writeLong(Long.NEG_ONE);
+                this._writeServerFilters(payload);
+            },
+            async (payload) => {
+                if (payload.readBoolean()) {
+                    // Topology version
+                    payload.readLong();
+                    const count = payload.readInteger();
+                    for (let i = 0; i < count; i++) {
+                        nodeIds.push(this._communicator._readUUID(payload));
+                    }
+                }
+            });
+        return nodeIds;
+    }
+
+    /**
+     * @ignore
+     */
+    _writeServerFilters(payload: MessageBuffer) {
+        const count = this._attributes.length + (this._serversOnly ? 1 : 0);
+        payload.writeBoolean(count > 0);
+        if (count === 0) {
+            return;
+        }
+        payload.writeInteger(count);
+        for (let [name, value] of this._attributes) {
+            payload.writeShort(FILTER_ATTRIBUTE);
+            BinaryCommunicator.writeString(payload, name);
+            BinaryCommunicator.writeString(payload, value);
+        }
+        if (this._serversOnly) {
+            payload.writeShort(FILTER_SERVER_NODES);
+            payload.writeBoolean(true);
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _copy(): ClusterGroup {
+        const group = new ClusterGroup(this._communicator);
+        group._attributes = [...this._attributes];
+        group._serversOnly = this._serversOnly;
+        group._nodeFilters = [...this._nodeFilters];
+        return group;
+    }
+
+    /**
+     * @ignore
+     */
+    _copyWithFilter(filter: (nodes: ClusterNode[]) => ClusterNode[]): ClusterGroup {
+        const group = this._copy();
+        group._nodeFilters.push(filter);
+        return group;
+    }
+}
@@ -0,0 +1,501 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { EventEmitter } from "events";
+const Long = require('long');
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket from "./internal/ClientSocket";
+import MessageBuffer from "./internal/MessageBuffer";
+import { LOG_CATEGORY } from "./IgniteClientConfiguration";
+import { ScanQuery } from "./Query";
+import { Cursor } from "./Cursor";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { IgniteClientError } from "./Errors";
+
+const BUFFER_SIZE_DEFAULT = 1;
+const QUEUE_SIZE_DEFAULT = 1000;
+
+/**
+ * Types of cache entry events.
+ * @typedef CacheEntryEvent.EVENT_TYPE
+ * @enum
+ * @readonly
+ * @property CREATED 0
+ * @property UPDATED 1
+ * @property REMOVED 2
+ * @property EXPIRED 3
+ */
+export enum CACHE_ENTRY_EVENT_TYPE {
+    CREATED = 0,
+    UPDATED = 1,
+    REMOVED = 2,
+    EXPIRED = 3
+}
+
+const EVENT_NAMES = Object.freeze({
+    [CACHE_ENTRY_EVENT_TYPE.CREATED] : 'created',
+    [CACHE_ENTRY_EVENT_TYPE.UPDATED] : 'updated',
+    [CACHE_ENTRY_EVENT_TYPE.REMOVED] : 'removed',
+    [CACHE_ENTRY_EVENT_TYPE.EXPIRED] : 'expired'
+});
+
+/**
+ * Class representing a continuous query which listens to the changes of cache entries.
+ *
+ * The query is started via queryContinuous() method of {@link CacheClient} objects.
+ */
+export class ContinuousQuery {
+
+    private _bufferSize: number;
+
+    private _timeInterval: number;
+
+    private _includeExpired: boolean;
+
+    private _initialQuery: ScanQuery;
+
+    private _queueSize: number;
+
+    /**
+     * Public constructor.
+     *
+     * Continuous query settings have the following defaults:
+     * <pre>
+     *     Continuous Query setting  :    Default value
+     *     Buffer size               :    1
+     *     Time interval             :    0 (disabled)
+     *     Include expired flag      :    false
+     *     Initial query             :    null (not specified)
+     *     Queue size                :    1000
+     * </pre>
+     * Every setting may be changed using set methods.
+     *
+     * @return {ContinuousQuery} - new ContinuousQuery instance.
+     */
+    constructor() {
+        this._bufferSize = BUFFER_SIZE_DEFAULT;
+        this._timeInterval = 0;
+        this._includeExpired = false;
+        this._initialQuery = null;
+        this._queueSize = QUEUE_SIZE_DEFAULT;
+    }
+
+    /**
+     * Sets the number of events the server accumulates before sending them to the client.
+     *
+     * @param {number} bufferSize - buffer size. Must be positive.
+     *
+     * @return {ContinuousQuery} - the same instance of the ContinuousQuery.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setBufferSize(bufferSize: number): ContinuousQuery {
+        ArgumentChecker.isInteger(bufferSize, 'bufferSize');
+        this._bufferSize = bufferSize;
+        return this;
+    }
+
+    /**
+     * Sets the time interval after which the server sends the accumulated events
+     * even if the buffer is not full.
+     *
+     * @param {number} timeInterval - time interval in milliseconds. Zero value disables the interval.
+     *
+     * @return {ContinuousQuery} - the same instance of the ContinuousQuery.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setTimeInterval(timeInterval: number): ContinuousQuery {
+        ArgumentChecker.isInteger(timeInterval, 'timeInterval');
+        this._timeInterval = timeInterval;
+        return this;
+    }
+
+    /**
+     * Sets include expired flag. If true, the expired events are delivered to the client.
+     *
+     * @param {boolean} includeExpired - include expired flag: true or false.
+     *
+     * @return {ContinuousQuery} - the same instance of the ContinuousQuery.
+     */
+    setIncludeExpired(includeExpired: boolean): ContinuousQuery {
+        this._includeExpired = includeExpired;
+        return this;
+    }
+
+    /**
+     * Sets the initial query which is executed right after the listener is registered.
+     * Its results are available via getInitialQueryCursor() method of {@link ContinuousQueryHandle}.
+     * The results may overlap with the events of the entries changed while the initial query is executed.
+     *
+     * @param {ScanQuery} initialQuery - initial query or null.
+     *
+     * @return {ContinuousQuery} - the same instance of the ContinuousQuery.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setInitialQuery(initialQuery: ScanQuery): ContinuousQuery {
+        ArgumentChecker.hasType(initialQuery, 'initialQuery', false, ScanQuery);
+        this._initialQuery = initialQuery;
+        return this;
+    }
+
+    /**
+     * Sets the maximal number of the received events the client keeps for the async iterator
+     * of {@link ContinuousQueryHandle}, while the events are not consumed.
+     *
+     * The events are kept only when there are no listeners of the events and no pending iteration.
+     * When the queue is full, the oldest event is dropped for every new one and a warning is logged.
+     *
+     * @param {number} queueSize - queue size. Must be positive.
+     *
+     * @return {ContinuousQuery} - the same instance of the ContinuousQuery.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setQueueSize(queueSize: number): ContinuousQuery {
+        ArgumentChecker.isInteger(queueSize, 'queueSize');
+        if (queueSize <= 0) {
+            throw IgniteClientError.illegalArgumentError('"queueSize" argument should be positive');
+        }
+        this._queueSize = queueSize;
+        return this;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    get initialQuery(): ScanQuery {
+        return this._initialQuery;
+    }
+
+    /**
+     * @ignore
+     */
+    get queueSize(): number {
+        return this._queueSize;
+    }
+
+    /**
+     * @ignore
+     */
+    _write(buffer: MessageBuffer) {
+        buffer.writeInteger(this._bufferSize);
+        buffer.writeLong(this._timeInterval);
+        buffer.writeBoolean(this._includeExpired);
+        // remote filter
+        buffer.writeByte(BinaryUtils.TYPE_CODE.NULL);
+    }
+}
+
+/**
+ * Class representing a cache entry event received by a continuous query.
+ */
+export class CacheEntryEvent {
+
+    private _key: object;
+
+    private _value: object;
+
+    private _oldValue: object;
+
+    private _eventType: CACHE_ENTRY_EVENT_TYPE;
+
+    static get EVENT_TYPE() {
+        return CACHE_ENTRY_EVENT_TYPE;
+    }
+
+    /**
+     * Returns the key of the changed entry.
+     *
+     * @return {*} - the key.
+     */
+    getKey() {
+        return this._key;
+    }
+
+    /**
+     * Returns the new value of the changed entry.
+     *
+     * @return {*} - the new value, or null if the entry has been removed or has expired.
+     */
+    getValue() {
+        return this._value;
+    }
+
+    /**
+     * Returns the previous value of the changed entry.
+     *
+     * @return {*} - the previous value, or null if the entry has been created.
+     */
+    getOldValue() {
+        return this._oldValue;
+    }
+
+    /**
+     * Returns the type of the event.
+     *
+     * @return {CacheEntryEvent.EVENT_TYPE} - the event type.
+     */
+    getEventType(): CACHE_ENTRY_EVENT_TYPE {
+        return this._eventType;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(key: object, value: object, oldValue: object, eventType: CACHE_ENTRY_EVENT_TYPE) {
+        this._key = key;
+        this._value = value;
+        this._oldValue = oldValue;
+        this._eventType = eventType;
+    }
+}
+
+/**
+ * Class representing a running continuous query.
+ *
+ * The class has no public constructor. An instance of this class is obtained
+ * via queryContinuous() method of {@link CacheClient} objects.
+ *
+ * The received events are delivered in two ways:
+ *   - as events of the emitter: 'created', 'updated', 'removed', 'expired'
+ *     (with {@link CacheEntryEvent} argument) and 'event' for all of them;
+ *   - as an async iterator of {@link CacheEntryEvent} objects, usable in for-await-of loop.
+ *
+ * If nobody listens to the events and nobody iterates, the received events are queued for the iterator,
+ * up to the queue size of the {@link ContinuousQuery}. The oldest events are dropped when the queue is full.
+ *
+ * Besides, the 'error' event is emitted if the query fails (eg. due to the connection lost),
+ * and the 'close' event is emitted when the query is closed. No events are received after that.
+ *
+ * @hideconstructor
+ */
+export class ContinuousQueryHandle extends EventEmitter implements AsyncIterable<CacheEntryEvent> {
+
+    private _id: Long;
+
+    private _socket: ClientSocket;
+
+    private _communicator: BinaryCommunicator;
+
+    private _keyType: PRIMITIVE_TYPE | CompositeType;
+
+    private _valueType: PRIMITIVE_TYPE | CompositeType;
+
+    private _initialQueryCursor: Cursor;
+
+    private _closed: boolean;
+
+    private _error: Error;
+
+    private _processing: Promise<void>;
+
+    private _queue: CacheEntryEvent[];
+
+    private _queueSize: number;
+
+    private _dropped: boolean;
+
+    private _waiters: Array<[Function, Function]>;
+
+    /**
+     * Returns the cursor with the results of the initial query.
+     *
+     * @return {Cursor} - the cursor, or null if the initial query was not specified.
+     */
+    getInitialQueryCursor(): Cursor {
+        return this._initialQueryCursor;
+    }
+
+    /**
+     * Checks if the continuous query is closed.
+     *
+     * @return {boolean} - true if closed, false otherwise.
+     */
+    isClosed(): boolean {
+        return this._closed;
+    }
+
+    /**
+     * Stops the continuous query. Does nothing if the query is already closed.
+     *
+     * @async
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    async close() {
+        if (this._closed) {
+            return;
+        }
+        this._onClose(null);
+        await this._socket.sendRequest(
+            BinaryUtils.OPERATION.RESOURCE_CLOSE,
+            async (payload) => {
+                payload.writeLong(this._id);
+            });
+    }
+
+    /**
+     * Returns an async iterator over the received events.
+     * The iteration ends when the query is closed.
+     *
+     * @return {AsyncIterator<CacheEntryEvent>} - the iterator.
+     */
+    [Symbol.asyncIterator](): AsyncIterator<CacheEntryEvent> {
+        return {
+            next: () => this._nextEvent(),
+            return: async () => {
+                await this.close();
+                return { done: true, value: undefined };
+            }
+        };
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(id: Long, socket: ClientSocket, communicator: BinaryCommunicator,
+                keyType: PRIMITIVE_TYPE | CompositeType, valueType: PRIMITIVE_TYPE | CompositeType,
+                queueSize: number = QUEUE_SIZE_DEFAULT) {
+        super();
+        this._id = id;
+        this._socket = socket;
+        this._communicator = communicator;
+        this._keyType = keyType;
+        this._valueType = valueType;
+        this._initialQueryCursor = null;
+        this._closed = false;
+        this._error = null;
+        this._processing = Promise.resolve();
+        this._queue = [];
+        this._queueSize = queueSize;
+        this._dropped = false;
+        this._waiters = [];
+        this._socket.addNotificationListener(
+            BinaryUtils.OPERATION.QUERY_CONTINUOUS_EVENT_NOTIFICATION, this._id, this._onNotification.bind(this));
+    }
+
+    /**
+     * @ignore
+     */
+    set initialQueryCursor(cursor: Cursor) {
+        this._initialQueryCursor = cursor;
+    }
+
+    /**
+     * @ignore
+     */
+    _onNotification(payload: MessageBuffer, error: Error) {
+        // Events are read asynchronously, but must be delivered in the order they are received
+        this._processing = this._processing.then(async () => {
+            if (this._closed) {
+                return;
+            }
+            if (error) {
+                this._onClose(error);
+                return;
+            }
+            try {
+                const count = payload.readInteger();
+                for (let i = 0; i < count; i++) {
+                    const key = await this._communicator.readObject(payload, this._keyType);
+                    const oldValue = await this._communicator.readObject(payload, this._valueType);
+                    const value = await this._communicator.readObject(payload, this._valueType);
+                    this._onEvent(new CacheEntryEvent(key, value, oldValue, payload.readByte()));
+                }
+            }
+            catch (err) {
+                this._communicator.logger.logError(
+                    LOG_CATEGORY.SERIALIZATION, 'Continuous query event can not be read: %s', err.message);
+                this._onClose(err);
+            }
+        });
+    }
+
+    /**
+     * @ignore
+     */
+    _onEvent(event: CacheEntryEvent) {
+        if (this._waiters.length > 0) {
+            this._waiters.shift()[0]({ done: false, value: event });
+        }
+        else if (this.listenerCount('event') === 0 && this.listenerCount(EVENT_NAMES[event.getEventType()]) === 0) {
+            // Nobody listens to the emitter, keep the event for the iterator
+            if (this._queue.length >= this._queueSize) {
+                this._queue.shift();
+                // Logged once per overflow, not for every dropped event
+                if (!this._dropped) {
+                    this._dropped = true;
+                    this._communicator.logger.logWarn(LOG_CATEGORY.PROTOCOL,
+                        'Continuous query events are not consumed, the oldest events are dropped');
+                }
+            }
+            this._queue.push(event);
+        }
+        this.emit(EVENT_NAMES[event.getEventType()], event);
+        this.emit('event', event);
+    }
+
+    /**
+     * @ignore
+     */
+    _onClose(error: Error) {
+        this._closed = true;
+        this._error = error;
+        this._socket.removeNotificationListener(BinaryUtils.OPERATION.QUERY_CONTINUOUS_EVENT_NOTIFICATION, this._id);
+        for (const [resolve, reject] of this._waiters) {
+            if (error) {
+                reject(error);
+            }
+            else {
+                resolve({ done: true, value: undefined });
+            }
+        }
+        this._waiters = [];
+        if (error && this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.emit('close');
+    }
+
+    /**
+     * @ignore
+     */
+    _nextEvent(): Promise<IteratorResult<CacheEntryEvent>> {
+        if (this._queue.length > 0) {
+            this._dropped = false;
+            return Promise.resolve({ done: false, value: this._queue.shift() });
+        }
+        if (this._closed) {
+            return this._error ? Promise.reject(this._error) : Promise.resolve({ done: true, value: undefined });
+        }
+        return new Promise((resolve, reject) => {
+            this._waiters.push([resolve, reject]);
+        });
+    }
+}
@@ -17,12 +17,74 @@
 'use strict';
 
 const Long = require('long');
+import { Readable } from 'stream';
 import BinaryUtils, { OPERATION } from './internal/BinaryUtils';
 import BinaryCommunicator from "./internal/BinaryCommunicator";
 import {PRIMITIVE_TYPE} from "./internal/Constants";
 import {CompositeType} from "./ObjectType";
 import MessageBuffer from "./internal/MessageBuffer";
 import {CacheEntry} from "./CacheClient";
+import ClientSocket from "./internal/ClientSocket";
+import { LostConnectionError } from "./Errors";
+
+/**
+ * Class representing a server-side cursor which is not closed yet.
+ *
+ * The class has no public constructor. Instances of this class are obtained
+ * via openCursors() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class CursorInfo {
+
+    _id: Long;
+
+    _connection: ClientSocket;
+
+    private _openTime: Date;
+
+    private _operation: OPERATION;
+
+    /**
+     * Returns the id of the cursor.
+     *
+     * @return {string} - the cursor id.
+     */
+    getId(): string {
+        return this._id.toString();
+    }
+
+    /**
+     * Returns the name of the operation which is used to obtain the pages of the cursor results,
+     * eg. QUERY_SCAN_CURSOR_GET_PAGE.
+     *
+     * @return {string} - the operation name.
+     */
+    getOperation(): string {
+        return OPERATION[this._operation];
+    }
+
+    /**
+     * Returns the time when the cursor has been opened.
+     *
+     * @return {Date} - the open time.
+     */
+    getOpenTime(): Date {
+        return this._openTime;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(id: Long, operation: OPERATION) {
+        this._id = id;
+        this._connection = null;
+        this._operation = operation;
+        this._openTime = new Date();
+    }
+}
 
 export abstract class BaseCursor<T> {
 
@@ -44,6 +106,10 @@ export abstract class BaseCursor<T> {
 
     protected _valueIndex: number;
 
+    protected _info: CursorInfo;
+
+    protected _connection: ClientSocket;
+
     /**
      * Returns one element (cache entry) from the query results.
      *
@@ -53,6 +119,10 @@ export abstract class BaseCursor<T> {
      * @async
      *
      * @return {Promise<T>} - a cache entry.
+     *
+     * @throws {LostConnectionError} if the connection the query has been executed with is lost.
+     *   The next pages are obtained via this connection only, so they are not retried by {@link RetryPolicy}.
+     * @throws {IgniteClientError} if other error.
      */
     async getValue(): Promise<T> {
         if (!this._values || this._valueIndex >= this._values.length) {
@@ -86,6 +156,9 @@ export abstract class BaseCursor<T> {
      * @async
      *
      * @return {Promise<Array<T>>} - all cache entries returned by SQL or Scan query.
+     *
+     * @throws {LostConnectionError} if the connection the query has been executed with is lost.
+     * @throws {IgniteClientError} if other error.
      */
     async getAll(): Promise<T[]> {
         let result: T[] = [];
@@ -108,9 +181,13 @@ export abstract class BaseCursor<T> {
      * @async
      */
     async close() {
-        // Close cursor only if the server has more pages: the server closes cursor automatically on last page
-        if (this._id && this._hasNext) {
-            await this._communicator.send(
+        // The unread page, if any, is not needed anymore
+        this._buffer = null;
+        this._hasNext = false;
+        // Close cursor only if the server has more pages: the server closes cursor automatically on last page,
+        // and the cursor is not tracked after that
+        if (this._id && this._communicator.unregisterCursor(this._info)) {
+            await this._connection.sendRequest(
                 BinaryUtils.OPERATION.RESOURCE_CLOSE,
                 async (payload) => {
                     await this._write(payload);
@@ -118,6 +195,60 @@ export abstract class BaseCursor<T> {
         }
     }
 
+    /**
+     * Returns an async iterator over the remaining elements of the query results.
+     *
+     * The next page of the results is requested from the server only when
+     * all elements of the current page have been iterated.
+     * If the iteration is stopped before the end of the results, the cursor is closed.
+     *
+     * @return {AsyncIterator<T>} - the iterator.
+     */
+    [Symbol.asyncIterator](): AsyncIterator<T> {
+        return {
+            next: () => this._nextValue(),
+            return: async () => {
+                await this.close();
+                return { done: true, value: undefined };
+            }
+        };
+    }
+
+    /**
+     * Returns a readable stream in object mode over the remaining elements of the query results.
+     *
+     * The next page of the results is requested from the server only when the consumer
+     * reads all elements of the current page, so the results are never loaded into memory entirely.
+     * If the stream is destroyed before the end of the results, the cursor is closed.
+     *
+     * @return {Readable} - the stream.
+     */
+    toStream(): Readable {
+        let ended = false;
+        const stream = new Readable({
+            objectMode: true,
+            read: () => {
+                this._nextValue().
+                    then((result) => {
+                        ended = result.done;
+                        stream.push(result.done ? null : result.value);
+                    }).
+                    catch((err) => stream.destroy(err));
+            },
+            destroy: (err, callback) => {
+                // The server closes the cursor automatically when the last page is sent
+                if (ended) {
+                    callback(err);
+                    return;
+                }
+                this.close().
+                    then(() => callback(err)).
+                    catch((closeErr) => callback(err || closeErr));
+            }
+        });
+        return stream;
+    }
+
     /** Private methods */
 
     /**
@@ -133,16 +264,36 @@ export abstract class BaseCursor<T> {
         this._hasNext = false;
         this._values = null;
         this._valueIndex = 0;
+        this._info = null;
+        this._connection = null;
+    }
+
+    /**
+     * The next pages are requested via the connection the query has been executed with,
+     * because the server-side cursor exists only within it.
+     *
+     * @ignore
+     */
+    _setConnection(connection: ClientSocket) {
+        this._connection = connection;
+        if (this._info) {
+            this._info._connection = connection;
+        }
     }
 
     /**
      * @ignore
      */
     async _getNext() {
+        // The pages are not retried by the retry policy via another connection, as the cursor is lost with its connection
+        if (!this._connection.isConnected) {
+            this._hasNext = false;
+            throw new LostConnectionError('Cursor is lost together with the connection ' + this._connection.endpoint);
+        }
         this._hasNext = false;
         this._values = null;
         this._buffer = null;
-        await this._communicator.send(
+        await this._connection.sendRequest(
             this._operation,
             async (payload) => {
                 await this._write(payload);
@@ -152,6 +303,22 @@ export abstract class BaseCursor<T> {
             });
     }
 
+    /**
+     * @ignore
+     */
+    async _nextValue(): Promise<IteratorResult<T>> {
+        while (!this._values || this._valueIndex >= this._values.length) {
+            if (!this._buffer && !this._hasNext) {
+                return { done: true, value: undefined };
+            }
+            await this._getValues();
+            this._valueIndex = 0;
+        }
+        const value = this._values[this._valueIndex];
+        this._valueIndex++;
+        return { done: false, value: value };
+    }
+
     /**
      * @ignore
      */
@@ -174,8 +341,24 @@ export abstract class BaseCursor<T> {
     /**
      * @ignore
      */
-    _readId(buffer) {
+    _readId(buffer: MessageBuffer) {
         this._id = buffer.readLong();
+        // The server closes the cursor itself if the first page is the last one
+        if (!BaseCursor._hasNextPage(buffer)) {
+            return;
+        }
+        // The cursor is tracked until the last page is read or the cursor is closed
+        this._info = new CursorInfo(this._id, this._operation);
+        this._communicator.registerCursor(this, this._info);
+    }
+
+    /**
+     * "Has next page" flag is the last byte of every page, so it is read without reading the values.
+     *
+     * @ignore
+     */
+    static _hasNextPage(buffer: MessageBuffer): boolean {
+        return buffer.length > 0 && buffer.buffer[buffer.length - 1] === 1;
     }
 
     /**
@@ -193,6 +376,9 @@ export abstract class BaseCursor<T> {
             this._values[i] = await this._readRow(buffer);
         }
         this._hasNext = buffer.readBoolean();
+        if (!this._hasNext) {
+            this._communicator.unregisterCursor(this._info);
+        }
     }
 }
 
@@ -324,7 +510,7 @@ export class SqlFieldsCursor extends BaseCursor<Array<object>> {
      * @ignore
      */
     async _readFieldNames(buffer: MessageBuffer, includeFieldNames: boolean) {
-        this._id = buffer.readLong();
+        this._readId(buffer);
         this._fieldCount = buffer.readInteger();
         if (includeFieldNames) {
             for (let i = 0; i < this._fieldCount; i++) {
@@ -0,0 +1,401 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryCommunicator from "./internal/BinaryCommunicator";
+import ClientSocket, { PROTOCOL_FEATURE } from "./internal/ClientSocket";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { CompositeType } from "./ObjectType";
+import { AffinityHint, CacheClient } from "./CacheClient";
+import { IgniteClientError } from "./Errors";
+import { LOG_CATEGORY } from "./IgniteClientConfiguration";
+
+const FLAG_ALLOW_OVERWRITE = 0x01;
+const FLAG_SKIP_STORE = 0x02;
+const FLAG_KEEP_BINARY = 0x04;
+const FLAG_FLUSH = 0x08;
+const FLAG_CLOSE = 0x10;
+
+const DEFAULT_PER_NODE_BUFFER_SIZE = 512;
+const DEFAULT_PARALLEL_OPS = 4;
+
+// Server-side buffer sizes are not changed
+const SERVER_DEFAULT_BUFFER_SIZE = -1;
+
+/**
+ * Options of the data streamer.
+ *
+ * @typedef DataStreamer.DataStreamerOptions
+ * @property {number} [perNodeBufferSize=512] - number of entries which are accumulated for a node
+ *   before they are sent to it in one batch.
+ * @property {number} [parallelOps=4] - maximum number of batches which are sent to a node concurrently.
+ *   Adding of the data waits when the limit is reached.
+ * @property {boolean} [allowOverwrite=false] - if true, the existing entries are overwritten by the streamer,
+ *   otherwise they are not changed.
+ * @property {boolean} [skipStore=false] - if true, the entries are not written to the cache store.
+ * @property {number} [flushInterval=0] - interval in milliseconds of automatic flushing of the accumulated entries.
+ *   Zero value means no automatic flushing.
+ */
+export interface DataStreamerOptions {
+    perNodeBufferSize?: number;
+    parallelOps?: number;
+    allowOverwrite?: boolean;
+    skipStore?: boolean;
+    flushInterval?: number;
+}
+
+/**
+ * Entries accumulated for one node and the batches being sent to it.
+ * @ignore
+ */
+class NodeBuffer {
+
+    entries: Array<[object, object]>;
+
+    batches: Set<Promise<void>>;
+
+    constructor() {
+        this.entries = [];
+        this.batches = new Set<Promise<void>>();
+    }
+}
+
+/**
+ * Class representing a data streamer which loads large amounts of entries into a cache.
+ *
+ * The entries are accumulated per primary node of the keys and sent to the nodes in batches concurrently.
+ * The primary nodes are known if partition awareness is enabled in the client configuration,
+ * otherwise all batches are sent to one node.
+ *
+ * The order of the entries is not preserved. If a batch fails, including a batch sent by the automatic flushing,
+ * the error is thrown by the next call of addData(), removeData(), flush() or close() method.
+ *
+ * The class has no public constructor. An instance of this class should be obtained
+ * via dataStreamer() method of {@link IgniteClient} objects.
+ *
+ * @hideconstructor
+ */
+export class DataStreamer {
+
+    private _cacheName: string;
+
+    private _cacheId: number;
+
+    private _communicator: BinaryCommunicator;
+
+    private _keyType: PRIMITIVE_TYPE | CompositeType;
+
+    private _valueType: PRIMITIVE_TYPE | CompositeType;
+
+    private _perNodeBufferSize: number;
+
+    private _parallelOps: number;
+
+    private _flags: number;
+
+    private _buffers: Map<ClientSocket, NodeBuffer>;
+
+    private _error: Error;
+
+    private _flushTimer: NodeJS.Timer;
+
+    private _closed: boolean;
+
+    /**
+     * Specifies a type of the cache key.
+     *
+     * After the streamer creation a type of the cache key is not specified (null).
+     *
+     * @param {PRIMITIVE_TYPE | CompositeType} type - type of the keys in the cache:
+     *   - either a type code of primitive (simple) type
+     *   - or an instance of class representing non-primitive (composite) type
+     *   - or null (means the type is not specified).
+     *
+     * @return {DataStreamer} - the same instance of the DataStreamer.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setKeyType(type: PRIMITIVE_TYPE | CompositeType): DataStreamer {
+        BinaryUtils.checkObjectType(type, 'type');
+        this._keyType = type;
+        return this;
+    }
+
+    /**
+     * Specifies a type of the cache value.
+     *
+     * After the streamer creation a type of the cache value is not specified (null).
+     *
+     * @param {PRIMITIVE_TYPE | CompositeType} type - type of the values in the cache:
+     *   - either a type code of primitive (simple) type
+     *   - or an instance of class representing non-primitive (composite) type
+     *   - or null (means the type is not specified).
+     *
+     * @return {DataStreamer} - the same instance of the DataStreamer.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setValueType(type: PRIMITIVE_TYPE | CompositeType): DataStreamer {
+        BinaryUtils.checkObjectType(type, 'type');
+        this._valueType = type;
+        return this;
+    }
+
+    /**
+     * Adds an entry to the streamer.
+     *
+     * The returned promise is resolved when the entry is accumulated, not when it is written to the cache.
+     * Use flush() method to wait for the entries to be written.
+     *
+     * @async
+     *
+     * @param {*} key - key.
+     * @param {*} value - value to be associated with the specified key.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the streamer is closed, a previous batch failed or other error.
+     */
+    async addData(key: any, value: any) {
+        ArgumentChecker.notNull(value, 'value');
+        await this._addEntry(key, value);
+    }
+
+    /**
+     * Adds the removal of an entry to the streamer.
+     *
+     * @async
+     *
+     * @param {*} key - key of the entry to be removed.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the streamer is closed, a previous batch failed or other error.
+     */
+    async removeData(key: any) {
+        await this._addEntry(key, null);
+    }
+
+    /**
+     * Sends all accumulated entries to the nodes and waits for all sent entries to be written to the cache.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the streamer is closed, a batch failed or other error.
+     */
+    async flush() {
+        this._checkState();
+        await this._flush();
+    }
+
+    /**
+     * Flushes the accumulated entries and closes the streamer.
+     * Does nothing if the streamer is already closed.
+     *
+     * @async
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if a batch failed or other error.
+     */
+    async close() {
+        if (this._closed) {
+            return;
+        }
+        this._closed = true;
+        if (this._flushTimer) {
+            clearInterval(this._flushTimer);
+            this._flushTimer = null;
+        }
+        await this._flush();
+    }
+
+    /**
+     * Checks if the streamer is closed.
+     *
+     * @return {boolean} - true if the streamer is closed, false otherwise.
+     */
+    isClosed(): boolean {
+        return this._closed;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    constructor(cacheName: string, communicator: BinaryCommunicator, options: DataStreamerOptions) {
+        this._cacheName = cacheName;
+        this._cacheId = CacheClient._calculateId(cacheName);
+        this._communicator = communicator;
+        this._keyType = null;
+        this._valueType = null;
+        this._perNodeBufferSize = options.perNodeBufferSize || DEFAULT_PER_NODE_BUFFER_SIZE;
+        this._parallelOps = options.parallelOps || DEFAULT_PARALLEL_OPS;
+        // Thin client objects can not be deserialized on the server
+        this._flags = FLAG_KEEP_BINARY;
+        if (options.allowOverwrite) {
+            this._flags |= FLAG_ALLOW_OVERWRITE;
+        }
+        if (options.skipStore) {
+            this._flags |= FLAG_SKIP_STORE;
+        }
+        this._buffers = new Map<ClientSocket, NodeBuffer>();
+        this._error = null;
+        this._flushTimer = null;
+        this._closed = false;
+        // Fails if the server does not support the streaming
+        this._communicator.router.getFeatureConnection(PROTOCOL_FEATURE.DATA_STREAMER);
+        if (options.flushInterval > 0) {
+            this._flushTimer = setInterval(() => {
+                // The error of a batch is kept until it is thrown to the user by the next call
+                this._flush(false).catch(err => this._communicator.logger.logDebug(
+                    LOG_CATEGORY.PROTOCOL, 'Data streamer flush failed: %s', err.message));
+            }, options.flushInterval);
+            this._flushTimer.unref();
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    static _checkOptions(options: DataStreamerOptions) {
+        ArgumentChecker.notNull(options, 'options');
+        for (const name of ['perNodeBufferSize', 'parallelOps', 'flushInterval']) {
+            if (options[name] !== undefined) {
+                ArgumentChecker.isInteger(options[name], 'options.' + name);
+                if (options[name] < 0) {
+                    throw IgniteClientError.illegalArgumentError('"options.' + name + '" argument should not be negative');
+                }
+            }
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _checkState() {
+        if (this._closed) {
+            throw IgniteClientError.streamerClosedError();
+        }
+        this._throwError();
+    }
+
+    /**
+     * @ignore
+     */
+    _throwError() {
+        if (this._error) {
+            const error = this._error;
+            this._error = null;
+            throw error;
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _addEntry(key: any, value: any) {
+        ArgumentChecker.notNull(key, 'key');
+        this._checkState();
+        const socket = await this._communicator.router.getAffinityConnection(
+            new AffinityHint(this._cacheId, key, this._keyType));
+        // The nodes of the cluster may run different versions
+        if (!socket.isFeatureSupported(PROTOCOL_FEATURE.DATA_STREAMER)) {
+            throw IgniteClientError.unsupportedFeatureError(PROTOCOL_FEATURE.DATA_STREAMER);
+        }
+        let buffer = this._buffers.get(socket);
+        if (!buffer) {
+            buffer = new NodeBuffer();
+            this._buffers.set(socket, buffer);
+        }
+        buffer.entries.push([key, value]);
+        if (buffer.entries.length >= this._perNodeBufferSize) {
+            await this._sendBuffer(socket, buffer);
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _flush(throwError: boolean = true) {
+        const batches = [];
+        for (const [socket, buffer] of this._buffers) {
+            await this._sendBuffer(socket, buffer);
+            batches.push(...buffer.batches);
+        }
+        await Promise.all(batches);
+        // Entries may be added concurrently, so only the unused buffers are removed, eg. of the lost connections
+        for (const [socket, buffer] of this._buffers) {
+            if (buffer.entries.length === 0 && buffer.batches.size === 0) {
+                this._buffers.delete(socket);
+            }
+        }
+        if (throwError) {
+            this._throwError();
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendBuffer(socket: ClientSocket, buffer: NodeBuffer) {
+        while (buffer.batches.size >= this._parallelOps) {
+            await Promise.race(buffer.batches);
+        }
+        // The entries may be sent by a concurrent call while waiting
+        if (buffer.entries.length === 0) {
+            return;
+        }
+        const entries = buffer.entries;
+        buffer.entries = [];
+        const batch = this._sendEntries(socket, entries).
+            catch(err => {
+                if (!this._error) {
+                    this._error = err;
+                }
+            }).
+            then(() => {
+                buffer.batches.delete(batch);
+            });
+        buffer.batches.add(batch);
+    }
+
+    /**
+     * @ignore
+     */
+    async _sendEntries(socket: ClientSocket, entries: Array<[object, object]>) {
+        // Every batch is processed by a separate server-side streamer which is closed when the batch is written
+        await socket.sendRequest(
+            BinaryUtils.OPERATION.DATA_STREAMER_START,
+            async (payload) => {
+                payload.writeInteger(this._cacheId);
+                payload.writeByte(this._flags | FLAG_FLUSH | FLAG_CLOSE);
+                payload.writeInteger(SERVER_DEFAULT_BUFFER_SIZE);
+                payload.writeInteger(SERVER_DEFAULT_BUFFER_SIZE);
+                // No stream receiver
+                await this._communicator.writeObject(payload, null);
+                payload.writeInteger(entries.length);
+                for (const [key, value] of entries) {
+                    await this._communicator.writeObject(payload, key, this._keyType);
+                    await this._communicator.writeObject(payload, value, this._valueType);
+                }
+            },
+            null,
+            { cacheName: this._cacheName });
+    }
+}
@@ -71,6 +71,38 @@ export class IgniteClientError extends Error {
         return new IgniteClientError(message || 'Internal library error');
     }
 
+    /**
+     * The feature required by the operation is not supported by the server.
+     * @ignore
+     */
+    static unsupportedFeatureError(feature) {
+        return new IgniteClientError(Util.format('Feature "%s" is not supported by the server', feature));
+    }
+
+    /**
+     * The cluster group has no nodes to execute the operation on.
+     * @ignore
+     */
+    static emptyClusterGroupError() {
+        return new IgniteClientError('Cluster group is empty');
+    }
+
+    /**
+     * The operation has been cancelled by the user.
+     * @ignore
+     */
+    static operationCancelledError() {
+        return new IgniteClientError('The operation has been cancelled');
+    }
+
+    /**
+     * The data streamer is closed and can not be used anymore.
+     * @ignore
+     */
+    static streamerClosedError() {
+        return new IgniteClientError('Data streamer is closed');
+    }
+
     /**
      * Serialization/deserialization errors.
      * @ignore
@@ -116,6 +148,16 @@ export class IllegalStateError extends IgniteClientError {
     }
 }
 
+/**
+ * The requested operation is not completed within the specified timeout.
+ * @extends IgniteClientError
+ */
+export class TimeoutError extends IgniteClientError {
+    constructor(timeout) {
+        super(Util.format('Request is not completed within %d ms', timeout));
+    }
+}
+
 /**
  * The requested operation is not completed due to the connection lost.
  * @extends IgniteClientError
@@ -18,7 +18,6 @@
 
 import BinaryCommunicator from "./internal/BinaryCommunicator";
 import ArgumentChecker from "./internal/ArgumentChecker";
-import Logger from "./internal/Logger";
 
 import Router from "./internal/Router";
 import {IgniteClientConfiguration} from "./IgniteClientConfiguration";
@@ -26,6 +25,15 @@ import {CacheConfiguration} from "./CacheConfiguration";
 import { CacheClient } from "./CacheClient";
 import BinaryUtils from "./internal/BinaryUtils";
 import MessageBuffer from "./internal/MessageBuffer";
+import { ClientTransactions } from "./ClientTransactions";
+import { ClientCompute } from "./ClientCompute";
+import { ClientCluster } from "./ClientCluster";
+import { ClusterGroup } from "./ClusterGroup";
+import { ClientServices } from "./ClientServices";
+import { ClientBinary } from "./ClientBinary";
+import { CursorInfo } from "./Cursor";
+import { ClientMetrics } from "./ClientMetrics";
+import { DataStreamer, DataStreamerOptions } from "./DataStreamer";
 
 /**
  * State of GridGain client.
@@ -65,6 +73,16 @@ export class IgniteClient {
 
     private _communicator: BinaryCommunicator;
 
+    private _transactions: ClientTransactions;
+
+    private _compute: ClientCompute;
+
+    private _cluster: ClientCluster;
+
+    private _services: ClientServices;
+
+    private _binary: ClientBinary;
+
     /**
      * Public constructor.
      *
@@ -76,6 +94,11 @@ export class IgniteClient {
     constructor(onStateChanged: IgniteClientOnStateChanged = null) {
         this._router = new Router(onStateChanged);
         this._communicator = new BinaryCommunicator(this._router);
+        this._transactions = new ClientTransactions(this._router);
+        this._compute = new ClientCompute(this._communicator);
+        this._cluster = new ClientCluster(this._communicator);
+        this._services = new ClientServices(this._communicator);
+        this._binary = new ClientBinary(this._communicator);
     }
 
     static get STATE() {
@@ -98,6 +121,12 @@ export class IgniteClient {
     async connect(config: IgniteClientConfiguration): Promise<void> {
         ArgumentChecker.notEmpty(config, 'config');
         ArgumentChecker.hasType(config, 'config', false, IgniteClientConfiguration);
+        if (!config.addressResolver) {
+            ArgumentChecker.notEmpty(config.endpoints, 'endpoints');
+        }
+        this._communicator.configure(config);
+        this._communicator.logger.configure(config);
+        this._communicator.metrics.configure(config);
         await this._router.connect(this._communicator, config);
     }
 
@@ -108,9 +137,37 @@ export class IgniteClient {
      * Does nothing if the client already disconnected.
      */
     disconnect() {
+        this._communicator.releaseCursors();
         this._router.disconnect();
     }
 
+    /**
+     * Returns the server-side cursors opened by the client which are not closed yet.
+     *
+     * A cursor is closed when the last page of its results is obtained or close() method is called.
+     * The cursors which are garbage collected without being closed are closed automatically,
+     * if the runtime supports FinalizationRegistry.
+     * The cursors are released by the server together with the connection they are opened with,
+     * so the cursors of a lost connection are not returned.
+     * The method is intended for diagnostics of the cursor leaks.
+     *
+     * @return {Array<CursorInfo>} - the open cursors.
+     */
+    openCursors(): CursorInfo[] {
+        return this._communicator.openCursors;
+    }
+
+    /**
+     * Returns the metrics of the client.
+     *
+     * The returned object is live: it always reflects the current values of the metrics.
+     *
+     * @return {ClientMetrics} - the client metrics.
+     */
+    metrics(): ClientMetrics {
+        return this._communicator.metrics;
+    }
+
     /**
      * Creates new cache with the provided name and optional configuration.
      *
@@ -258,13 +315,85 @@ export class IgniteClient {
     }
 
     /**
-     * Enables/disables the library debug output (including errors logging).
+     * Returns the transactions facade of the client.
+     *
+     * @return {ClientTransactions} - transactions facade to start transactions with.
+     */
+    transactions(): ClientTransactions {
+        return this._transactions;
+    }
+
+    /**
+     * Returns the compute facade of the client.
+     *
+     * @param {ClusterGroup} [clusterGroup] - group of the nodes to execute tasks on.
+     *   If not specified, the tasks are executed on all server nodes.
+     *
+     * @return {ClientCompute} - compute facade to execute tasks with.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    compute(clusterGroup: ClusterGroup = null): ClientCompute {
+        ArgumentChecker.hasType(clusterGroup, 'clusterGroup', false, ClusterGroup);
+        return clusterGroup ? new ClientCompute(this._communicator, clusterGroup) : this._compute;
+    }
+
+    /**
+     * Returns the cluster facade of the client.
+     *
+     * @return {ClientCluster} - cluster facade to manage the cluster state and to get the cluster nodes.
+     */
+    cluster(): ClientCluster {
+        return this._cluster;
+    }
+
+    /**
+     * Returns the services facade of the client.
+     *
+     * @return {ClientServices} - services facade to invoke the services deployed in the cluster with.
+     */
+    services(): ClientServices {
+        return this._services;
+    }
+
+    /**
+     * Returns the binary facade of the client.
+     *
+     * @return {ClientBinary} - binary facade to manage the binary types with.
+     */
+    binary(): ClientBinary {
+        return this._binary;
+    }
+
+    /**
+     * Creates a data streamer to load large amounts of entries into the cache.
+     *
+     * The streamer should be closed when all entries are added.
+     *
+     * @param {string} cacheName - cache name.
+     * @param {DataStreamer.DataStreamerOptions} [options] - options of the streamer.
+     *
+     * @return {DataStreamer} - new data streamer.
+     *
+     * @throws {IllegalStateError} if the client is not connected.
+     * @throws {IgniteClientError} if the server does not support the data streamer or other error.
+     */
+    dataStreamer(cacheName: string, options: DataStreamerOptions = {}): DataStreamer {
+        ArgumentChecker.notEmpty(cacheName, 'cacheName');
+        DataStreamer._checkOptions(options);
+        return new DataStreamer(cacheName, this._communicator, options);
+    }
+
+    /**
+     * Enables/disables the library debug output (including errors logging) of this client to the console.
      * Disabled by default.
      *
+     * Has no effect if the logger is specified in the client configuration.
+     *
      * @param {boolean} value - true to enable, false to disable
      */
     setDebug(value) {
-        Logger.debug = value;
+        this._communicator.logger.debug = value;
     }
 
     /** Private methods */
@@ -19,6 +19,90 @@
 import ArgumentChecker from "./internal/ArgumentChecker";
 import {NetConnectOpts} from "net";
 import {ConnectionOptions} from "tls";
+import { RequestInfo } from "./ClientMetrics";
+import { ReconnectPolicy, RetryPolicy } from "./ReconnectPolicy";
+import { IgniteClientError } from "./Errors";
+import { AddressResolver } from "./AddressResolver";
+import { BinaryIdMapper, BinaryNameMapper } from "./BinaryMapper";
+
+/**
+ * Levels of the log messages.
+ * @typedef IgniteClientConfiguration.LOG_LEVEL
+ * @enum
+ * @readonly
+ * @property DEBUG 0
+ * @property INFO 1
+ * @property WARN 2
+ * @property ERROR 3
+ * @property OFF 4 No messages are logged.
+ */
+export enum LOG_LEVEL {
+    DEBUG = 0,
+    INFO = 1,
+    WARN = 2,
+    ERROR = 3,
+    OFF = 4
+}
+
+/**
+ * Categories of the log messages.
+ * @typedef IgniteClientConfiguration.LOG_CATEGORY
+ * @enum
+ * @readonly
+ * @property CONNECTION connection Connection establishment, failover and heartbeats.
+ * @property PROTOCOL protocol Requests, responses and notifications, including the message dumps.
+ * @property PARTITION_AWARENESS partition-awareness Partition maps and choosing of the nodes for the requests.
+ * @property SERIALIZATION serialization Writing and reading of the objects.
+ */
+export enum LOG_CATEGORY {
+    CONNECTION = 'connection',
+    PROTOCOL = 'protocol',
+    PARTITION_AWARENESS = 'partition-awareness',
+    SERIALIZATION = 'serialization'
+}
+
+/**
+ * Representations of the values of LONG type which are read from the server.
+ * @typedef IgniteClientConfiguration.LONG_REPRESENTATION
+ * @enum
+ * @readonly
+ * @property NUMBER number JavaScript number. The values beyond 2^53 lose precision.
+ * @property BIGINT bigint JavaScript BigInt. The values are read exactly.
+ */
+export enum LONG_REPRESENTATION {
+    NUMBER = 'number',
+    BIGINT = 'bigint'
+}
+
+/**
+ * Logger which receives the log messages of the client, eg. pino or winston logger.
+ * Every message is passed as one string prefixed with the category.
+ *
+ * @typedef IgniteClientConfiguration.IgniteLogger
+ * @property {function(string)} debug - logs a debug message.
+ * @property {function(string)} info - logs an info message.
+ * @property {function(string)} warn - logs a warning.
+ * @property {function(string)} error - logs an error.
+ */
+export interface IgniteLogger {
+    debug(message: string): void;
+    info(message: string): void;
+    warn(message: string): void;
+    error(message: string): void;
+}
+
+/**
+ * Hooks which are called for every request to the server, eg. to trace the requests with OpenTelemetry spans.
+ * The value returned by onRequestStart hook is passed to onRequestEnd hook of the same request.
+ *
+ * @typedef IgniteClientConfiguration.RequestHooks
+ * @property {function(RequestInfo): *} [onRequestStart] - called before the request is sent.
+ * @property {function(RequestInfo, *)} [onRequestEnd] - called when the request is completed, failed or cancelled.
+ */
+export interface RequestHooks {
+    onRequestStart?(info: RequestInfo): any;
+    onRequestEnd?(info: RequestInfo, context: any): void;
+}
 
 /**
  * Class representing GridGain client configuration.
@@ -43,6 +127,48 @@ export class IgniteClientConfiguration {
 
     private _options: NetConnectOpts | ConnectionOptions;
 
+    private _heartbeatInterval: number;
+
+    private _heartbeatTimeout: number;
+
+    private _requestTimeout: number;
+
+    private _logger: IgniteLogger;
+
+    private _logLevel: LOG_LEVEL;
+
+    private _logLevels: Map<LOG_CATEGORY, LOG_LEVEL>;
+
+    private _requestHooks: RequestHooks;
+
+    private _reconnectPolicy: ReconnectPolicy;
+
+    private _retryPolicy: RetryPolicy;
+
+    private _connectionsPerNode: number;
+
+    private _clusterDiscovery: boolean;
+
+    private _addressResolver: AddressResolver;
+
+    private _longRepresentation: LONG_REPRESENTATION;
+
+    private _binaryIdMapper: BinaryIdMapper;
+
+    private _binaryNameMapper: BinaryNameMapper;
+
+    static get LOG_LEVEL() {
+        return LOG_LEVEL;
+    }
+
+    static get LOG_CATEGORY() {
+        return LOG_CATEGORY;
+    }
+
+    static get LONG_REPRESENTATION() {
+        return LONG_REPRESENTATION;
+    }
+
     /**
      * Creates an instance of GridGain client configuration
      * with the provided mandatory settings and default optional settings.
@@ -52,19 +178,34 @@ export class IgniteClientConfiguration {
      *
      * @param {...string} endpoints - GridGain node endpoint(s).
      *  The client randomly connects/reconnects to one of the specified node.
+     *  The endpoints may be omitted if the address resolver is specified by setAddressResolver() method.
      *
      * @return {IgniteClientConfiguration} - new client configuration instance.
      *
      * @throws {IgniteClientError} if error.
      */
     constructor(...endpoints: string[]) {
-        ArgumentChecker.notEmpty(endpoints, 'endpoints');
         this._endpoints = endpoints;
         this._userName = null;
         this._password = null;
         this._useTLS = false;
         this._options = null;
         this._partitionAwareness = false
+        this._heartbeatInterval = 0;
+        this._heartbeatTimeout = 0;
+        this._requestTimeout = 0;
+        this._logger = null;
+        this._logLevel = LOG_LEVEL.INFO;
+        this._logLevels = new Map<LOG_CATEGORY, LOG_LEVEL>();
+        this._requestHooks = null;
+        this._reconnectPolicy = null;
+        this._retryPolicy = null;
+        this._connectionsPerNode = 1;
+        this._clusterDiscovery = false;
+        this._addressResolver = null;
+        this._longRepresentation = LONG_REPRESENTATION.NUMBER;
+        this._binaryIdMapper = null;
+        this._binaryNameMapper = null;
     }
 
 
@@ -122,6 +263,309 @@ export class IgniteClientConfiguration {
         return this;
     }
 
+    /**
+     * Sets the interval of the heartbeats sent by the client to every connected node.
+     *
+     * If a node does not respond to a heartbeat within the heartbeat timeout ({@link IgniteClientConfiguration#setHeartbeatTimeout}),
+     * the connection is considered lost and the client reconnects.
+     * The heartbeats also prevent the idle connections from being closed by the server or by the network equipment.
+     *
+     * The heartbeats are disabled by default. They are sent to the nodes which support them only.
+     *
+     * @param {number} heartbeatInterval - heartbeat interval in milliseconds. Zero value disables the heartbeats.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setHeartbeatInterval(heartbeatInterval: number): IgniteClientConfiguration {
+        ArgumentChecker.isInteger(heartbeatInterval, 'heartbeatInterval');
+        this._heartbeatInterval = heartbeatInterval;
+        return this;
+    }
+
+    /**
+     * Sets the timeout of the heartbeat responses, measured from the moment a heartbeat is sent.
+     *
+     * If a node does not respond to a heartbeat within the timeout, the connection is considered lost,
+     * and all requests pending on the connection are rejected.
+     * The timeout should be long enough for the heartbeat response to be received after the large responses
+     * and when the node is busy.
+     *
+     * By default, the timeout is three heartbeat intervals.
+     *
+     * @param {number} heartbeatTimeout - heartbeat timeout in milliseconds. Zero value means the default timeout.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setHeartbeatTimeout(heartbeatTimeout: number): IgniteClientConfiguration {
+        ArgumentChecker.isInteger(heartbeatTimeout, 'heartbeatTimeout');
+        if (heartbeatTimeout < 0) {
+            throw IgniteClientError.illegalArgumentError('"heartbeatTimeout" argument should not be negative');
+        }
+        this._heartbeatTimeout = heartbeatTimeout;
+        return this;
+    }
+
+    /**
+     * Sets the default timeout of the requests to the server.
+     *
+     * If the response is not received within the timeout, the operation is rejected with {@link TimeoutError}.
+     * The timeout may be overridden for an individual operation by the options of the operation.
+     *
+     * The requests have no timeout by default.
+     *
+     * @param {number} requestTimeout - request timeout in milliseconds. Zero value means no timeout.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setRequestTimeout(requestTimeout: number): IgniteClientConfiguration {
+        ArgumentChecker.isInteger(requestTimeout, 'requestTimeout');
+        this._requestTimeout = requestTimeout;
+        return this;
+    }
+
+    /**
+     * Sets the logger which receives the log messages of the client.
+     *
+     * If the logger is not set, the messages are written to the console
+     * only if the debug output is enabled by setDebug() method of {@link IgniteClient}.
+     *
+     * @param {IgniteClientConfiguration.IgniteLogger} logger - logger with debug, info, warn and error methods,
+     *   or null to use the console.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setLogger(logger: IgniteLogger): IgniteClientConfiguration {
+        if (logger) {
+            for (const method of ['debug', 'info', 'warn', 'error']) {
+                ArgumentChecker.notNull(logger[method], 'logger.' + method);
+                ArgumentChecker.hasType(logger[method], 'logger.' + method, false, Function);
+            }
+        }
+        this._logger = logger || null;
+        return this;
+    }
+
+    /**
+     * Sets the minimal level of the messages passed to the logger, for all categories or for one category.
+     * The level of a category overrides the level for all categories.
+     *
+     * The level is INFO for all categories by default.
+     *
+     * @param {IgniteClientConfiguration.LOG_LEVEL} level - minimal level of the logged messages.
+     * @param {IgniteClientConfiguration.LOG_CATEGORY} [category] - category of the messages.
+     *   If not specified, the level is set for all categories.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setLogLevel(level: LOG_LEVEL, category: LOG_CATEGORY = null): IgniteClientConfiguration {
+        ArgumentChecker.hasValueFrom(level, 'level', false, LOG_LEVEL);
+        if (category === null) {
+            this._logLevel = level;
+        }
+        else {
+            ArgumentChecker.hasValueFrom(category, 'category', false, LOG_CATEGORY);
+            this._logLevels.set(category, level);
+        }
+        return this;
+    }
+
+    /**
+     * Sets the hooks which are called for every request to the server.
+     *
+     * The hooks are called synchronously, so they should not block.
+     * Errors thrown by the hooks are logged and do not affect the requests.
+     *
+     * @param {IgniteClientConfiguration.RequestHooks} hooks - request hooks, or null to remove the hooks.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setRequestHooks(hooks: RequestHooks): IgniteClientConfiguration {
+        if (hooks) {
+            for (const hook of ['onRequestStart', 'onRequestEnd']) {
+                if (hooks[hook] !== undefined) {
+                    ArgumentChecker.hasType(hooks[hook], 'hooks.' + hook, false, Function);
+                }
+            }
+        }
+        this._requestHooks = hooks || null;
+        return this;
+    }
+
+    /**
+     * Sets the policy of reconnection of the client after the connections to the cluster are lost.
+     *
+     * If the policy is not set, the client tries to connect to every endpoint once
+     * and moves to DISCONNECTED state if it fails.
+     *
+     * @param {ReconnectPolicy} reconnectPolicy - reconnect policy, or null to not retry the connection.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setReconnectPolicy(reconnectPolicy: ReconnectPolicy): IgniteClientConfiguration {
+        ArgumentChecker.hasType(reconnectPolicy, 'reconnectPolicy', false, ReconnectPolicy);
+        this._reconnectPolicy = reconnectPolicy;
+        return this;
+    }
+
+    /**
+     * Sets the policy of retrying of the idempotent operations which have failed because the connection is lost.
+     *
+     * If the policy is not set, the operations are not retried and fail with {@link LostConnectionError}.
+     * The next pages of the query results are never retried, as the server-side cursor is lost with the connection.
+     *
+     * @param {RetryPolicy} retryPolicy - retry policy, or null to not retry the operations.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setRetryPolicy(retryPolicy: RetryPolicy): IgniteClientConfiguration {
+        ArgumentChecker.hasType(retryPolicy, 'retryPolicy', false, RetryPolicy);
+        this._retryPolicy = retryPolicy;
+        return this;
+    }
+
+    /**
+     * Sets the number of the connections the client opens to every node.
+     *
+     * The requests to a node are sent via the connection with the least number of the requests in progress.
+     * The requests of a query cursor and of a transaction are always sent via the connection
+     * the cursor or the transaction has been started with.
+     *
+     * The client opens one connection per node by default.
+     *
+     * @param {number} connectionsPerNode - number of the connections, at least 1.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setConnectionsPerNode(connectionsPerNode: number): IgniteClientConfiguration {
+        ArgumentChecker.isInteger(connectionsPerNode, 'connectionsPerNode');
+        if (connectionsPerNode < 1) {
+            throw IgniteClientError.illegalArgumentError('"connectionsPerNode" argument should be positive');
+        }
+        this._connectionsPerNode = connectionsPerNode;
+        return this;
+    }
+
+    /**
+     * Enables or disables the discovery of the cluster nodes endpoints.
+     *
+     * If enabled, the client requests the endpoints of all server nodes from the node it is connected to
+     * and connects to them in background, so the Partition Awareness feature works
+     * even if only one endpoint (eg. a DNS name of the cluster) is specified in the configuration.
+     * The endpoints are refreshed when the cluster topology changes.
+     *
+     * The discovery is disabled by default. It takes effect only if the Partition Awareness feature is enabled.
+     *
+     * @param {boolean} clusterDiscovery - if true, the discovery is enabled. Otherwise, disabled.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     */
+    setClusterDiscovery(clusterDiscovery: boolean): IgniteClientConfiguration {
+        this._clusterDiscovery = clusterDiscovery;
+        return this;
+    }
+
+    /**
+     * Sets the function which returns the endpoints of the cluster nodes.
+     *
+     * The resolver is invoked every time the client connects or reconnects to the cluster,
+     * so the nodes added to the cluster are known without changing the configuration.
+     * The returned endpoints are used together with the endpoints passed to the constructor.
+     * If the resolver fails, only the endpoints passed to the constructor are used.
+     *
+     * The built-in resolvers based on DNS records are provided by {@link DnsResolver}.
+     *
+     * @param {AddressResolver} addressResolver - address resolver, or null to use the endpoints
+     *   passed to the constructor only.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setAddressResolver(addressResolver: AddressResolver): IgniteClientConfiguration {
+        ArgumentChecker.hasType(addressResolver, 'addressResolver', false, Function);
+        this._addressResolver = addressResolver;
+        return this;
+    }
+
+    /**
+     * Sets the representation of the values of LONG type which are read from the server:
+     * cache keys and values, fields of the binary and complex objects, SQL query results, etc.
+     *
+     * The values are read as JavaScript numbers by default.
+     * The values of BigInt type are always written as LONG type, regardless of this setting.
+     *
+     * @param {IgniteClientConfiguration.LONG_REPRESENTATION} longRepresentation - representation of the values.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setLongRepresentation(longRepresentation: LONG_REPRESENTATION): IgniteClientConfiguration {
+        ArgumentChecker.hasValueFrom(longRepresentation, 'longRepresentation', false, LONG_REPRESENTATION);
+        this._longRepresentation = longRepresentation;
+        return this;
+    }
+
+    /**
+     * Sets the mapper of the type names and the field names to the ids of the binary types and fields.
+     *
+     * The mapper must produce the same ids as the ID mapper configured in the cluster,
+     * otherwise the objects written by the client can not be read by the cluster and by other clients.
+     * By default, {@link BinaryBasicIdMapper} with the hash codes of the names in lower case is used.
+     *
+     * The mapper is used by this client only. The instances of {@link BinaryObject} created without a client
+     * get the ids from the default mappers, and the ids are calculated again when the objects are written by the client.
+     *
+     * @param {BinaryIdMapper} idMapper - the ID mapper. If null, the default mapper is used.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setBinaryIdMapper(idMapper: BinaryIdMapper): IgniteClientConfiguration {
+        IgniteClientConfiguration._checkMapper(idMapper, 'idMapper', ['typeId', 'fieldId']);
+        this._binaryIdMapper = idMapper || null;
+        return this;
+    }
+
+    /**
+     * Sets the mapper of the type names and the field names to the names stored in the binary types.
+     *
+     * The mapper must produce the same names as the name mapper configured in the cluster.
+     * By default, {@link BinaryBasicNameMapper} with the full names of the types is used.
+     *
+     * The mapper is used by this client only.
+     *
+     * @param {BinaryNameMapper} nameMapper - the name mapper. If null, the default mapper is used.
+     *
+     * @return {IgniteClientConfiguration} - the same instance of the IgniteClientConfiguration.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setBinaryNameMapper(nameMapper: BinaryNameMapper): IgniteClientConfiguration {
+        IgniteClientConfiguration._checkMapper(nameMapper, 'nameMapper', ['typeName', 'fieldName']);
+        this._binaryNameMapper = nameMapper || null;
+        return this;
+    }
+
     get userName(): string {
         return this._userName;
     }
@@ -146,4 +590,78 @@ export class IgniteClientConfiguration {
         return this._endpoints;
     }
 
+    get heartbeatInterval(): number {
+        return this._heartbeatInterval;
+    }
+
+    get heartbeatTimeout(): number {
+        return this._heartbeatTimeout;
+    }
+
+    get requestTimeout(): number {
+        return this._requestTimeout;
+    }
+
+    get logger(): IgniteLogger {
+        return this._logger;
+    }
+
+    get logLevel(): LOG_LEVEL {
+        return this._logLevel;
+    }
+
+    get logLevels(): Map<LOG_CATEGORY, LOG_LEVEL> {
+        return this._logLevels;
+    }
+
+    get requestHooks(): RequestHooks {
+        return this._requestHooks;
+    }
+
+    get reconnectPolicy(): ReconnectPolicy {
+        return this._reconnectPolicy;
+    }
+
+    get retryPolicy(): RetryPolicy {
+        return this._retryPolicy;
+    }
+
+    get connectionsPerNode(): number {
+        return this._connectionsPerNode;
+    }
+
+    get clusterDiscovery(): boolean {
+        return this._clusterDiscovery;
+    }
+
+    get addressResolver(): AddressResolver {
+        return this._addressResolver;
+    }
+
+    get longRepresentation(): LONG_REPRESENTATION {
+        return this._longRepresentation;
+    }
+
+    get binaryIdMapper(): BinaryIdMapper {
+        return this._binaryIdMapper;
+    }
+
+    get binaryNameMapper(): BinaryNameMapper {
+        return this._binaryNameMapper;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    static _checkMapper(mapper: object, argName: string, methods: string[]) {
+        if (mapper) {
+            for (const method of methods) {
+                ArgumentChecker.notNull(mapper[method], argName + '.' + method);
+                ArgumentChecker.hasType(mapper[method], argName + '.' + method, false, Function);
+            }
+        }
+    }
+
 }
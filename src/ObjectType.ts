@@ -55,6 +55,7 @@ import BinaryUtils from "./internal/BinaryUtils";
  * | JavaScript type           | GridGain type code    |
  * | ------------------------- | ----------------------|
  * | number                    | DOUBLE                |
+ * | bigint                    | LONG                  |
  * | boolean                   | BOOLEAN               |
  * | string                    | STRING                |
  * | Date                      | DATE                  |
@@ -63,6 +64,7 @@ import BinaryUtils from "./internal/BinaryUtils";
  * | Decimal**                 | DECIMAL               |
  * | BinaryObject*             | COMPLEX_OBJECT        |
  * | Array of number           | DOUBLE_ARRAY          |
+ * | Array of bigint           | LONG_ARRAY            |
  * | Array of boolean          | BOOLEAN_ARRAY         |
  * | Array of string           | STRING_ARRAY          |
  * | Array of Date             | DATE_ARRAY            |
@@ -94,7 +96,7 @@ import BinaryUtils from "./internal/BinaryUtils";
  * | BYTE                         | number                                |
  * | SHORT                        | number                                |
  * | INTEGER                      | number                                |
- * | LONG                         | number                                |
+ * | LONG                         | number or bigint***                   |
  * | FLOAT                        | number                                |
  * | DOUBLE                       | number                                |
  * | DECIMAL                      | Decimal**                             |
@@ -110,7 +112,7 @@ import BinaryUtils from "./internal/BinaryUtils";
  * | BYTE_ARRAY                   | Array of number                       |
  * | SHORT_ARRAY                  | Array of number                       |
  * | INTEGER_ARRAY                | Array of number                       |
- * | LONG_ARRAY                   | Array of number                       |
+ * | LONG_ARRAY                   | Array of number or bigint***          |
  * | FLOAT_ARRAY                  | Array of number                       |
  * | DOUBLE_ARRAY                 | Array of number                       |
  * | DECIMAL_ARRAY                | Array of Decimal**                    |
@@ -180,6 +182,8 @@ import BinaryUtils from "./internal/BinaryUtils";
  * as value of a field (but not as a key/value in a cache) or as a value of Array/Set/Map element
  * for all GridGain types, except BYTE, SHORT, INTEGER, LONG, FLOAT, DOUBLE, CHAR, BOOLEAN.
  *
+ * - for LONG and LONG_ARRAY GridGain types both number and bigint are allowed.
+ *
  * - for all *_ARRAY GridGain types an empty JavaScript Array is allowed.
  *
  * ----------------------------------------------------------------------------
@@ -194,6 +198,9 @@ import BinaryUtils from "./internal/BinaryUtils";
  * (**) Decimal - is an external JavaScript Object exported into the GridGain client
  * ({@link https://github.com/MikeMcl/decimal.js})
  *
+ * (***) bigint - if it is set by setLongRepresentation() method of {@link IgniteClientConfiguration},
+ * number otherwise.
+ *
  * GridGain type code - is the type code of a GridGain primitive type ({@link ObjectType.PRIMITIVE_TYPE})
  * or a GridGain composite type ({@link ObjectType.COMPOSITE_TYPE}).
  *
@@ -235,6 +242,14 @@ export class ObjectType {
 export class CompositeType extends ObjectType {
 }
 
+/**
+ * Function which returns the type to be used in a copy of a composite type instead of the nested type.
+ * @ignore
+ */
+type NestedTypeMapper = (type: PRIMITIVE_TYPE | CompositeType) => PRIMITIVE_TYPE | CompositeType;
+
+const SAME_TYPE: NestedTypeMapper = (type) => type;
+
 /**
  * Supported kinds of map.
  * @typedef MapObjectType.MAP_SUBTYPE
@@ -303,6 +318,21 @@ export class MapObjectType extends CompositeType {
         this._keyType = keyType;
         this._valueType = valueType;
     }
+
+    /** Private methods */
+
+    /**
+     * The nested types are replaced after the construction, so the mapped types are not validated,
+     * eg. BINARY_OBJECT type code which is used internally.
+     *
+     * @ignore
+     */
+    _copy(mapType: NestedTypeMapper = SAME_TYPE): MapObjectType {
+        const result = new MapObjectType(this._subType);
+        result._keyType = mapType(this._keyType);
+        result._valueType = mapType(this._valueType);
+        return result;
+    }
 }
 
 /**
@@ -393,6 +423,15 @@ export class CollectionObjectType extends CompositeType {
     _isSet() {
         return CollectionObjectType._isSet(this._subType);
     }
+
+    /**
+     * @ignore
+     */
+    _copy(mapType: NestedTypeMapper = SAME_TYPE): CollectionObjectType {
+        const result = new CollectionObjectType(this._subType);
+        result._elementType = mapType(this._elementType);
+        return result;
+    }
 }
 
 /**
@@ -428,6 +467,17 @@ export class ObjectArrayType extends CompositeType {
         BinaryUtils.checkObjectType(elementType, 'elementType');
         this._elementType = elementType;
     }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    _copy(mapType: NestedTypeMapper = SAME_TYPE): ObjectArrayType {
+        const result = new ObjectArrayType();
+        result._elementType = mapType(this._elementType);
+        return result;
+    }
 }
 
 /**
@@ -0,0 +1,226 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import ArgumentChecker from "./internal/ArgumentChecker";
+import { OPERATION } from "./internal/BinaryUtils";
+import { IgniteClientError } from "./Errors";
+
+const MAX_ATTEMPTS_DEFAULT = 10;
+const INITIAL_DELAY_DEFAULT = 100;
+const MAX_DELAY_DEFAULT = 10000;
+const JITTER_DEFAULT = 0.5;
+
+const MAX_RETRIES_DEFAULT = 3;
+
+/**
+ * Class representing a policy of reconnection of the client after the connections to the cluster are lost.
+ *
+ * The client tries to connect to all endpoints specified in the configuration, and if it fails,
+ * it waits and tries again, up to the maximal number of attempts.
+ * The delay before every next attempt is doubled, up to the maximal delay,
+ * and is randomly reduced by the jitter to spread the reconnections of many clients.
+ *
+ * If the partition awareness is enabled, the policy is also used to connect in background
+ * to the endpoints the client is not connected to.
+ */
+export class ReconnectPolicy {
+
+    private _maxAttempts: number;
+
+    private _initialDelay: number;
+
+    private _maxDelay: number;
+
+    private _jitter: number;
+
+    /**
+     * Public constructor.
+     *
+     * By default, the client makes up to 10 attempts with the delays from 100 ms to 10 seconds and jitter 0.5.
+     *
+     * @return {ReconnectPolicy} - new ReconnectPolicy instance.
+     */
+    constructor() {
+        this._maxAttempts = MAX_ATTEMPTS_DEFAULT;
+        this._initialDelay = INITIAL_DELAY_DEFAULT;
+        this._maxDelay = MAX_DELAY_DEFAULT;
+        this._jitter = JITTER_DEFAULT;
+    }
+
+    /**
+     * Sets the maximal number of the attempts to connect to the endpoints.
+     *
+     * @param {number} maxAttempts - number of the attempts. Zero value means unlimited number of the attempts.
+     *
+     * @return {ReconnectPolicy} - the same instance of the ReconnectPolicy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setMaxAttempts(maxAttempts: number): ReconnectPolicy {
+        ReconnectPolicy._checkNonNegative(maxAttempts, 'maxAttempts');
+        this._maxAttempts = maxAttempts;
+        return this;
+    }
+
+    /**
+     * Sets the delay before the second attempt.
+     *
+     * @param {number} initialDelay - delay in milliseconds.
+     *
+     * @return {ReconnectPolicy} - the same instance of the ReconnectPolicy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setInitialDelay(initialDelay: number): ReconnectPolicy {
+        ReconnectPolicy._checkNonNegative(initialDelay, 'initialDelay');
+        this._initialDelay = initialDelay;
+        return this;
+    }
+
+    /**
+     * Sets the maximal delay between the attempts.
+     *
+     * @param {number} maxDelay - delay in milliseconds.
+     *
+     * @return {ReconnectPolicy} - the same instance of the ReconnectPolicy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setMaxDelay(maxDelay: number): ReconnectPolicy {
+        ReconnectPolicy._checkNonNegative(maxDelay, 'maxDelay');
+        this._maxDelay = maxDelay;
+        return this;
+    }
+
+    /**
+     * Sets the jitter: the maximal part of the delay which is randomly subtracted from it.
+     *
+     * @param {number} jitter - jitter from 0 (no randomization) to 1.
+     *
+     * @return {ReconnectPolicy} - the same instance of the ReconnectPolicy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setJitter(jitter: number): ReconnectPolicy {
+        if (typeof jitter !== 'number' || !(jitter >= 0 && jitter <= 1)) {
+            throw IgniteClientError.illegalArgumentError('"jitter" argument should be from 0 to 1');
+        }
+        this._jitter = jitter;
+        return this;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    static _checkNonNegative(value: number, name: string) {
+        ArgumentChecker.isInteger(value, name);
+        if (value < 0) {
+            throw IgniteClientError.illegalArgumentError('"' + name + '" argument should not be negative');
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    _hasAttempt(attempt: number): boolean {
+        return this._maxAttempts === 0 || attempt < this._maxAttempts;
+    }
+
+    /**
+     * @ignore
+     */
+    _getDelay(attempt: number): number {
+        // The exponent is limited to not overflow for the unlimited number of attempts
+        const delay = Math.min(this._maxDelay, this._initialDelay * Math.pow(2, Math.min(attempt, 30)));
+        return Math.round(delay * (1 - this._jitter * Math.random()));
+    }
+}
+
+/**
+ * Class representing a policy of retrying of the operations which have failed because the connection is lost.
+ *
+ * Only the idempotent operations are retried: get, getAll, containsKey, containsKeys, getSize,
+ * cacheNames, getConfiguration and the start of the scan query.
+ * The next pages of the query results are not retried, because the server-side cursor is lost with the connection.
+ * The operations executed inside a transaction are not retried.
+ *
+ * The operation is retried once the client is reconnected, either to another connected node,
+ * or after the reconnection according to the {@link ReconnectPolicy}.
+ */
+export class RetryPolicy {
+
+    private _maxRetries: number;
+
+    /**
+     * Public constructor.
+     *
+     * By default, an operation is retried up to 3 times.
+     *
+     * @return {RetryPolicy} - new RetryPolicy instance.
+     */
+    constructor() {
+        this._maxRetries = MAX_RETRIES_DEFAULT;
+    }
+
+    /**
+     * Sets the maximal number of the retries of an operation.
+     *
+     * @param {number} maxRetries - number of the retries.
+     *
+     * @return {RetryPolicy} - the same instance of the RetryPolicy.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    setMaxRetries(maxRetries: number): RetryPolicy {
+        ReconnectPolicy._checkNonNegative(maxRetries, 'maxRetries');
+        this._maxRetries = maxRetries;
+        return this;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    _canRetry(opCode: OPERATION, retry: number): boolean {
+        return retry < this._maxRetries && RetryPolicy._isIdempotent(opCode);
+    }
+
+    /**
+     * Checks if the operation has the same result if it is executed several times.
+     *
+     * @ignore
+     */
+    static _isIdempotent(opCode: OPERATION): boolean {
+        switch (opCode) {
+            case OPERATION.CACHE_GET:
+            case OPERATION.CACHE_GET_ALL:
+            case OPERATION.CACHE_CONTAINS_KEY:
+            case OPERATION.CACHE_CONTAINS_KEYS:
+            case OPERATION.CACHE_GET_SIZE:
+            case OPERATION.CACHE_GET_NAMES:
+            case OPERATION.CACHE_GET_CONFIGURATION:
+            case OPERATION.QUERY_SCAN:
+                return true;
+            default:
+                return false;
+        }
+    }
+}
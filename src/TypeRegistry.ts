@@ -0,0 +1,314 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import * as Util from "util";
+import ArgumentChecker from "./internal/ArgumentChecker";
+import BinaryUtils from "./internal/BinaryUtils";
+import BinaryMapping from "./internal/BinaryMapping";
+import { PRIMITIVE_TYPE } from "./internal/Constants";
+import { ComplexObjectType, CompositeType } from "./ObjectType";
+import { IgniteClientError } from "./Errors";
+
+/**
+ * Type of a field of a registered class: a type code of primitive (simple) type,
+ * an instance of class representing non-primitive (composite) type or another registered class.
+ * @ignore
+ */
+type FieldType = PRIMITIVE_TYPE | CompositeType | Function;
+
+/**
+ * Schema of a JavaScript class which is mapped to a complex type.
+ *
+ * @typedef TypeRegistry.TypeSchema
+ * @property {string} [typeName] - name of the complex type. By default, the name of the class.
+ * @property {object} [fields] - types of the fields, by the field names. Every type is
+ *   either a type code of primitive (simple) type, or an instance of class representing non-primitive (composite) type,
+ *   or a registered JavaScript class, which means the complex type the class is mapped to.
+ *   The fields without the types specified are mapped automatically.
+ */
+export interface TypeSchema {
+    typeName?: string;
+    fields?: { [fieldName: string]: FieldType };
+}
+
+/**
+ * Registration of a JavaScript class.
+ * @ignore
+ */
+class TypeInfo {
+
+    objectConstructor: Function;
+
+    typeName: string;
+
+    fieldTypes: Map<string, FieldType>;
+
+    complexObjectType: ComplexObjectType;
+
+    constructor(objectConstructor: Function) {
+        this.objectConstructor = objectConstructor;
+        this.typeName = objectConstructor.name;
+        this.fieldTypes = new Map<string, FieldType>();
+        this.complexObjectType = null;
+    }
+}
+
+/**
+ * Class representing the registry of JavaScript classes which are mapped to complex types.
+ *
+ * A class is registered once, with the name of the complex type and the types of the fields,
+ * either by register() method or by {@link IgniteType} and {@link Field} decorators.
+ * After that the client writes the instances of the class as objects of the complex type,
+ * and reads the objects of the complex type as instances of the class, if no other type is specified,
+ * eg. by setKeyType() and setValueType() methods of {@link CacheClient}. An explicitly specified type
+ * always takes precedence, and the objects read by the caches with keep binary flag remain {@link BinaryObject}.
+ *
+ * An object is read as an instance of the class if the name of its type is equal to the registered name.
+ * The class must have a constructor without parameters or with optional parameters only.
+ *
+ * The nested objects are read in the same way: if the type of a field is not specified, the value of the field
+ * is read as an instance of the class registered for the name of its type, eg. Order, Customer and Address classes
+ * are registered to read the orders with the nested customers with the nested addresses.
+ * If the name is not registered, the nested object is read as {@link BinaryObject}.
+ *
+ * The registry is shared by all clients, while every client maps the registered names
+ * by its own binary name mapper ({@link IgniteClientConfiguration#setBinaryNameMapper}) to compare them
+ * with the names of the types it reads. Eg. the objects of "Order" type are read as instances of the class
+ * registered with "com.acme.Order" name by a client with the simple name mapper only, and by other clients
+ * they are read as {@link BinaryObject}.
+ * A name registered exactly takes precedence over the mapped names. If several registered names are mapped
+ * to the same name, eg. "com.acme.Order" and "org.example.Order" by the simple name mapper, the objects
+ * of the type are read as {@link BinaryObject}, as the class cannot be chosen unambiguously.
+ *
+ * @hideconstructor
+ */
+export class TypeRegistry {
+
+    private static _types = new Map<Function, TypeInfo>();
+
+    private static _typeNames = new Map<string, TypeInfo>();
+
+    // Registered names mapped by the binary mappings of the clients, null for the ambiguous names.
+    // Rebuilt on the first read after the registry is changed
+    private static _mappedTypeNames = new WeakMap<BinaryMapping, Map<string, TypeInfo>>();
+
+    /**
+     * Registers the JavaScript class.
+     *
+     * If the class is already registered, eg. by the decorators, the specified type name
+     * and field types replace the registered ones.
+     *
+     * @param {Function} objectConstructor - the class.
+     * @param {TypeRegistry.TypeSchema} [schema] - name of the complex type and types of the fields.
+     *
+     * @throws {IgniteClientError} if error.
+     */
+    static register(objectConstructor: Function, schema: TypeSchema = {}) {
+        ArgumentChecker.notNull(objectConstructor, 'objectConstructor');
+        ArgumentChecker.hasType(objectConstructor, 'objectConstructor', false, Function);
+        ArgumentChecker.notNull(schema, 'schema');
+        const fields = schema.fields || {};
+        for (const fieldName of Object.keys(fields)) {
+            // The classes of the fields may be registered later
+            if (typeof fields[fieldName] !== 'function') {
+                BinaryUtils.checkObjectType(fields[fieldName], 'schema.fields.' + fieldName);
+            }
+        }
+        let info = TypeRegistry._types.get(objectConstructor);
+        if (!info) {
+            info = new TypeInfo(objectConstructor);
+            TypeRegistry._types.set(objectConstructor, info);
+        }
+        else if (TypeRegistry._typeNames.get(info.typeName) === info) {
+            TypeRegistry._typeNames.delete(info.typeName);
+        }
+        if (schema.typeName) {
+            info.typeName = schema.typeName;
+        }
+        for (const fieldName of Object.keys(fields)) {
+            info.fieldTypes.set(fieldName, fields[fieldName]);
+        }
+        info.complexObjectType = null;
+        // The class registered last is used to read the objects of the type
+        TypeRegistry._typeNames.set(info.typeName, info);
+        TypeRegistry._mappedTypeNames = new WeakMap<BinaryMapping, Map<string, TypeInfo>>();
+    }
+
+    /**
+     * Removes the registration of the JavaScript class.
+     * Does nothing if the class is not registered.
+     *
+     * @param {Function} objectConstructor - the class.
+     */
+    static unregister(objectConstructor: Function) {
+        const info = TypeRegistry._types.get(objectConstructor);
+        if (info) {
+            TypeRegistry._types.delete(objectConstructor);
+            if (TypeRegistry._typeNames.get(info.typeName) === info) {
+                TypeRegistry._typeNames.delete(info.typeName);
+            }
+            TypeRegistry._mappedTypeNames = new WeakMap<BinaryMapping, Map<string, TypeInfo>>();
+        }
+    }
+
+    /**
+     * Returns the complex type the JavaScript class is mapped to.
+     *
+     * @param {Function} objectConstructor - the class.
+     *
+     * @return {ComplexObjectType} - the complex type, or null if the class is not registered.
+     */
+    static getComplexObjectType(objectConstructor: Function): ComplexObjectType {
+        const info = TypeRegistry._types.get(objectConstructor);
+        return info ? TypeRegistry._getComplexObjectType(info) : null;
+    }
+
+    /** Private methods */
+
+    /**
+     * @ignore
+     */
+    static _getByObject(object: object): ComplexObjectType {
+        return object.constructor ? TypeRegistry.getComplexObjectType(object.constructor) : null;
+    }
+
+    /**
+     * @ignore
+     */
+    static _getByTypeName(typeName: string, mapping: BinaryMapping): ComplexObjectType {
+        let info = TypeRegistry._typeNames.get(typeName);
+        if (!info) {
+            // The binary types have the names mapped by the binary name mapper, eg. without the package
+            info = TypeRegistry._getMappedTypeNames(mapping).get(typeName);
+        }
+        return info ? TypeRegistry._getComplexObjectType(info) : null;
+    }
+
+    /**
+     * @ignore
+     */
+    static _getMappedTypeNames(mapping: BinaryMapping): Map<string, TypeInfo> {
+        let mappedTypeNames = TypeRegistry._mappedTypeNames.get(mapping);
+        if (!mappedTypeNames) {
+            mappedTypeNames = new Map<string, TypeInfo>();
+            for (const info of TypeRegistry._typeNames.values()) {
+                const mappedTypeName = mapping.typeName(info.typeName);
+                // The ambiguous name stays mapped to null, whatever the registration order is
+                mappedTypeNames.set(mappedTypeName, mappedTypeNames.has(mappedTypeName) ? null : info);
+            }
+            TypeRegistry._mappedTypeNames.set(mapping, mappedTypeNames);
+        }
+        return mappedTypeNames;
+    }
+
+    /**
+     * @ignore
+     */
+    static _getComplexObjectType(info: TypeInfo): ComplexObjectType {
+        // The class is instantiated on the first use, as the decorators are applied
+        // when the class is not completely defined yet
+        if (!info.complexObjectType) {
+            const template = new (<any>info.objectConstructor)();
+            for (const fieldName of info.fieldTypes.keys()) {
+                if (!(fieldName in template)) {
+                    template[fieldName] = null;
+                }
+            }
+            // The type is cached before the field types are resolved, as the classes may reference each other
+            const complexObjectType = new ComplexObjectType(template, info.typeName);
+            info.complexObjectType = complexObjectType;
+            try {
+                for (const [fieldName, fieldType] of info.fieldTypes) {
+                    complexObjectType.setFieldType(fieldName, TypeRegistry._resolveFieldType(fieldName, fieldType));
+                }
+            }
+            catch (err) {
+                info.complexObjectType = null;
+                throw err;
+            }
+        }
+        return info.complexObjectType;
+    }
+
+    /**
+     * @ignore
+     */
+    static _resolveFieldType(fieldName: string, fieldType: FieldType): PRIMITIVE_TYPE | CompositeType {
+        if (typeof fieldType !== 'function') {
+            return fieldType;
+        }
+        const complexObjectType = TypeRegistry.getComplexObjectType(fieldType);
+        if (!complexObjectType) {
+            throw IgniteClientError.illegalArgumentError(Util.format(
+                'Class "%s" of field "%s" is not registered', fieldType.name, fieldName));
+        }
+        return complexObjectType;
+    }
+}
+
+/**
+ * Returns the class decorator which registers the class in the {@link TypeRegistry}.
+ *
+ * The decorators are supported by TypeScript with experimentalDecorators option
+ * and by Babel with legacy decorators plugin.
+ *
+ * @example
+ * @IgniteType('com.acme.Order')
+ * class Order {
+ *     @Field(ObjectType.PRIMITIVE_TYPE.LONG)
+ *     id = 0;
+ * }
+ *
+ * @param {string} [typeName] - name of the complex type. By default, the name of the class.
+ *
+ * @return {Function} - the class decorator.
+ */
+export function IgniteType(typeName: string = null) {
+    return (objectConstructor: Function) => {
+        TypeRegistry.register(objectConstructor, typeName ? { typeName: typeName } : {});
+    };
+}
+
+/**
+ * Returns the property decorator which specifies the type of the field in the {@link TypeRegistry}.
+ *
+ * If the class has no {@link IgniteType} decorator, it is registered with the default type name.
+ *
+ * @example
+ * class Order {
+ *     @Field(Customer)
+ *     customer = null;
+ * }
+ *
+ * @param {ObjectType.PRIMITIVE_TYPE | CompositeType | Function} fieldType - type of the field:
+ *   - either a type code of primitive (simple) type
+ *   - or an instance of class representing non-primitive (composite) type
+ *   - or a registered JavaScript class.
+ *
+ * @return {Function} - the property decorator.
+ *
+ * @throws {IgniteClientError} if error.
+ */
+export function Field(fieldType: FieldType) {
+    if (typeof fieldType !== 'function') {
+        BinaryUtils.checkObjectType(fieldType, 'fieldType');
+    }
+    return (prototype: object, fieldName: string) => {
+        TypeRegistry.register(prototype.constructor, { fields: { [fieldName]: fieldType } });
+    };
+}
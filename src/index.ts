@@ -31,6 +31,19 @@ export * from './CacheClient';
 export * from './CacheConfiguration';
 export * from './Query';
 export * from './Cursor';
+export * from './ContinuousQuery';
+export * from './ClientTransactions';
+export * from './ClientCompute';
+export * from './ClientCluster';
+export * from './ClusterGroup';
+export * from './ClientServices';
+export * from './ClientBinary';
+export * from './DataStreamer';
+export * from './ClientMetrics';
+export * from './ReconnectPolicy';
+export * from './AddressResolver';
+export * from './TypeRegistry';
+export * from './BinaryMapper';
 export * as Errors from  "./Errors";
 
 export {IgniteClient} from './IgniteClient';
\ No newline at end of file
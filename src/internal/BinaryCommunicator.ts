@@ -23,10 +23,16 @@ import BinaryUtils from "./BinaryUtils";
 import BinaryTypeStorage from "./BinaryTypeStorage";
 import { IgniteClientError } from "../Errors";
 import {BinaryObject} from "../BinaryObject";
-import BinaryType from "./BinaryType";
+import BinaryMapping from "./BinaryMapping";
 import Router from './Router';
 import MessageBuffer from "./MessageBuffer";
 import { AffinityHint } from "../CacheClient";
+import ClientSocket, { RequestContext } from "./ClientSocket";
+import { CursorInfo } from "../Cursor";
+import Logger from "./Logger";
+import { TypeRegistry } from "../TypeRegistry";
+import { ClientMetrics } from "../ClientMetrics";
+import { IgniteClientConfiguration, LOG_CATEGORY, LONG_REPRESENTATION } from "../IgniteClientConfiguration";
 const Decimal = require('decimal.js').default;
 
 export default class BinaryCommunicator {
@@ -35,9 +41,34 @@ export default class BinaryCommunicator {
 
     private _typeStorage: BinaryTypeStorage;
 
+    private _logger: Logger;
+
+    private _metrics: ClientMetrics;
+
+    // Server-side cursors which are not closed yet.
+    // The cursor ids are unique within a connection only
+    private _cursors: Set<CursorInfo>;
+
+    // Closes the cursors which are garbage collected without being closed, if supported by the runtime
+    private _cursorFinalizer: any;
+
+    private _longRepresentation: LONG_REPRESENTATION;
+
+    // Mappers of the type and field names to the ids of this client
+    private _mapping: BinaryMapping;
+
     constructor(router: Router) {
         this._router = router;
         this._typeStorage = new BinaryTypeStorage(this);
+        this._logger = new Logger();
+        this._metrics = new ClientMetrics(this);
+        this._cursors = new Set<CursorInfo>();
+        const FinalizationRegistry = (global as any).FinalizationRegistry;
+        this._cursorFinalizer = FinalizationRegistry ?
+            new FinalizationRegistry((info: CursorInfo) => this._closeAbandonedCursor(info)) :
+            null;
+        this._longRepresentation = LONG_REPRESENTATION.NUMBER;
+        this._mapping = BinaryMapping.default;
     }
 
     static readString(buffer: MessageBuffer): string | null {
@@ -59,14 +90,93 @@ export default class BinaryCommunicator {
         }
     }
 
-    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null) {
-        await this._router.send(opCode, payloadWriter, payloadReader, affinityHint);
+    configure(config: IgniteClientConfiguration) {
+        this._longRepresentation = config.longRepresentation;
+        this._mapping = BinaryMapping.create(config.binaryIdMapper, config.binaryNameMapper);
+    }
+
+    // Returns the connection the request has been sent to
+    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null,
+               options: RequestContext = null): Promise<ClientSocket> {
+        return await this._router.send(opCode, payloadWriter, payloadReader, affinityHint, options);
+    }
+
+    get router() {
+        return this._router;
     }
 
     get typeStorage() {
         return this._typeStorage;
     }
 
+    get mapping(): BinaryMapping {
+        return this._mapping;
+    }
+
+    get logger(): Logger {
+        return this._logger;
+    }
+
+    get metrics(): ClientMetrics {
+        return this._metrics;
+    }
+
+    get openCursors(): CursorInfo[] {
+        return [...this._cursors.values()];
+    }
+
+    registerCursor(cursor: object, info: CursorInfo) {
+        this._cursors.add(info);
+        if (this._cursorFinalizer) {
+            // The info is used as the unregister token, the cursor itself must not be referenced
+            this._cursorFinalizer.register(cursor, info, info);
+        }
+    }
+
+    // Returns false if the cursor is already unregistered, eg. closed or released on disconnect
+    unregisterCursor(info: CursorInfo): boolean {
+        if (!info || !this._cursors.delete(info)) {
+            return false;
+        }
+        if (this._cursorFinalizer) {
+            this._cursorFinalizer.unregister(info);
+        }
+        return true;
+    }
+
+    // The server releases the cursors of a connection when it is closed, so no requests are needed
+    releaseCursors() {
+        for (const info of this._cursors.values()) {
+            if (this._cursorFinalizer) {
+                this._cursorFinalizer.unregister(info);
+            }
+        }
+        this._cursors.clear();
+    }
+
+    // Releases the cursors of a lost connection, they cannot be used anymore
+    releaseConnectionCursors(connection: ClientSocket) {
+        for (const info of this._cursors.values()) {
+            if (info._connection === connection) {
+                this.unregisterCursor(info);
+            }
+        }
+    }
+
+    _closeAbandonedCursor(info: CursorInfo) {
+        if (!this.unregisterCursor(info)) {
+            return;
+        }
+        this._logger.logDebug(LOG_CATEGORY.PROTOCOL, 'Closing abandoned cursor %s', info.getId());
+        // The cursor exists only within the connection it has been opened with
+        info._connection.sendRequest(
+            BinaryUtils.OPERATION.RESOURCE_CLOSE,
+            async (payload) => {
+                payload.writeLong(info._id);
+            }).
+            catch(err => this._logger.logDebug(LOG_CATEGORY.PROTOCOL, 'Abandoned cursor closing failed: %s', err.message));
+    }
+
     async readObject(buffer, expectedType = null) {
         const typeCode = buffer.readByte();
         BinaryUtils.checkTypesComatibility(expectedType, typeCode);
@@ -172,7 +282,9 @@ export default class BinaryCommunicator {
             case BinaryUtils.TYPE_CODE.DOUBLE:
                 return buffer.readNumber(objectTypeCode);
             case BinaryUtils.TYPE_CODE.LONG:
-                return buffer.readLong().toNumber();
+                return this._longRepresentation === LONG_REPRESENTATION.BIGINT ?
+                    buffer.readBigInt() :
+                    buffer.readLong().toNumber();
             case BinaryUtils.TYPE_CODE.CHAR:
                 return buffer.readChar();
             case BinaryUtils.TYPE_CODE.BOOLEAN:
@@ -258,7 +370,9 @@ export default class BinaryCommunicator {
             buffer.readInteger();
         }
         const length = buffer.readInteger();
-        const elementType = BinaryUtils.getArrayElementType(arrayType ? arrayType : arrayTypeCode);
+        const elementType = BinaryCommunicator._isKeepBinary(arrayType) ?
+            BinaryCommunicator._getKeepBinaryElementType(arrayTypeCode) :
+            BinaryUtils.getArrayElementType(arrayType ? arrayType : arrayTypeCode);
         const keepElementType = elementType === null ? true : BinaryUtils.keepArrayElementType(arrayTypeCode);
         const result = new Array(length);
         for (let i = 0; i < length; i++) {
@@ -275,8 +389,8 @@ export default class BinaryCommunicator {
         const subType = buffer.readByte();
         let key, value;
         for (let i = 0; i < size; i++) {
-            key = await this.readObject(buffer, expectedMapType ? expectedMapType._keyType : null);
-            value = await this.readObject(buffer, expectedMapType ? expectedMapType._valueType : null);
+            key = await this.readObject(buffer, BinaryCommunicator._getElementType(expectedMapType, '_keyType'));
+            value = await this.readObject(buffer, BinaryCommunicator._getElementType(expectedMapType, '_valueType'));
             result.set(key, value);
         }
         return result;
@@ -289,7 +403,7 @@ export default class BinaryCommunicator {
         const result: Set<any> | Array<any> = isSet ? new Set() : new Array(size);
         let element;
         for (let i = 0; i < size; i++) {
-            element = await this.readObject(buffer, expectedColType ? expectedColType._elementType : null);
+            element = await this.readObject(buffer, BinaryCommunicator._getElementType(expectedColType, '_elementType'));
             if (isSet) {
                 (result as Set<any>).add(element);
             }
@@ -315,8 +429,38 @@ export default class BinaryCommunicator {
     async _readComplexObject(buffer, expectedType) {
         buffer.position = buffer.position - 1;
         const binaryObject = await BinaryObject._fromBuffer(this, buffer);
-        return expectedType ?
-            await binaryObject.toObject(expectedType) : binaryObject;
+        if (BinaryCommunicator._isKeepBinary(expectedType)) {
+            return binaryObject;
+        }
+        if (!expectedType) {
+            expectedType = TypeRegistry._getByTypeName(binaryObject.getTypeName(), this._mapping);
+        }
+        if (!expectedType) {
+            return binaryObject;
+        }
+        // The fields are read from the same buffer, so the position after the object is restored
+        const endPos = buffer.position;
+        const result = await binaryObject.toObject(expectedType);
+        buffer.position = endPos;
+        return result;
+    }
+
+    // The data read with BINARY_OBJECT expected type keep the complex objects in binary form, including nested ones
+    static _isKeepBinary(expectedType) {
+        return expectedType === BinaryUtils.TYPE_CODE.BINARY_OBJECT;
+    }
+
+    static _getKeepBinaryElementType(arrayTypeCode) {
+        return arrayTypeCode === BinaryUtils.TYPE_CODE.OBJECT_ARRAY ?
+            BinaryUtils.TYPE_CODE.BINARY_OBJECT :
+            BinaryUtils.getArrayElementType(arrayTypeCode);
+    }
+
+    static _getElementType(expectedType, name) {
+        if (BinaryCommunicator._isKeepBinary(expectedType)) {
+            return expectedType;
+        }
+        return expectedType ? expectedType[name] : null;
     }
 
     _writeUUID(buffer, value) {
@@ -375,7 +519,7 @@ export default class BinaryCommunicator {
         const keepElementType = BinaryUtils.keepArrayElementType(arrayTypeCode);
         if (arrayTypeCode === BinaryUtils.TYPE_CODE.OBJECT_ARRAY) {
             buffer.writeInteger(elementType instanceof ComplexObjectType ?
-                BinaryType._calculateId((elementType as ComplexObjectType).typeName) : -1);
+                this._mapping.typeId((elementType as ComplexObjectType).typeName) : -1);
         }
         buffer.writeInteger(array.length);
         for (let elem of array) {
@@ -406,6 +550,6 @@ export default class BinaryCommunicator {
     }
 
     async _writeComplexObject(buffer, object, objectType) {
-        await this._writeBinaryObject(buffer, await BinaryObject.fromObject(object, objectType));
+        await this._writeBinaryObject(buffer, await BinaryObject._fromObject(object, objectType, this._mapping));
     }
 }
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2019 GridGain Systems, Inc. and Contributors.
+ *
+ * Licensed under the GridGain Community Edition License (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.gridgain.com/products/software/community-edition/gridgain-community-edition-license
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { BinaryBasicIdMapper, BinaryBasicNameMapper, BinaryIdMapper, BinaryNameMapper } from "../BinaryMapper";
+import { ComplexObjectType } from "../ObjectType";
+import BinaryType, { BinarySchema } from "./BinaryType";
+
+/**
+ * Mappers of the type and field names to the ids used by a client.
+ *
+ * The types built from the complex object types are cached per mapping,
+ * as their ids depend on the mappers.
+ */
+export default class BinaryMapping {
+
+    private _idMapper: BinaryIdMapper;
+    private _nameMapper: BinaryNameMapper;
+    private _complexObjectTypes: Map<ComplexObjectType, [BinaryType, BinarySchema]>;
+    private static _default: BinaryMapping;
+
+    constructor(idMapper: BinaryIdMapper, nameMapper: BinaryNameMapper) {
+        this._idMapper = idMapper;
+        this._nameMapper = nameMapper;
+        this._complexObjectTypes = new Map<ComplexObjectType, [BinaryType, BinarySchema]>();
+    }
+
+    // Mapping of the clients without the mappers configured and of the objects created without a client
+    static get default(): BinaryMapping {
+        if (!BinaryMapping._default) {
+            BinaryMapping._default = new BinaryMapping(new BinaryBasicIdMapper(), new BinaryBasicNameMapper());
+        }
+        return BinaryMapping._default;
+    }
+
+    static create(idMapper: BinaryIdMapper, nameMapper: BinaryNameMapper): BinaryMapping {
+        if (!idMapper && !nameMapper) {
+            return BinaryMapping.default;
+        }
+        return new BinaryMapping(
+            idMapper || new BinaryBasicIdMapper(),
+            nameMapper || new BinaryBasicNameMapper());
+    }
+
+    typeName(name: string): string {
+        return name === null ? null : this._nameMapper.typeName(name);
+    }
+
+    typeId(name: string): number {
+        return name === null ? 0 : this._idMapper.typeId(this.typeName(name));
+    }
+
+    fieldId(typeId: number, fieldName: string): number {
+        return fieldName === null ? 0 : this._idMapper.fieldId(typeId, this._nameMapper.fieldName(fieldName));
+    }
+
+    getByComplexObjectType(complexObjectType: ComplexObjectType): [BinaryType, BinarySchema] {
+        return this._complexObjectTypes.get(complexObjectType);
+    }
+
+    setByComplexObjectType(complexObjectType: ComplexObjectType, type: BinaryType, schema: BinarySchema) {
+        if (!this._complexObjectTypes.has(complexObjectType)) {
+            this._complexObjectTypes.set(complexObjectType, [type, schema]);
+        }
+    }
+}
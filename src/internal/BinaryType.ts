@@ -19,10 +19,10 @@
 import * as Util from "util";
 import * as Long from "long";
 import {ComplexObjectType} from "../ObjectType";
-import BinaryTypeStorage from "./BinaryTypeStorage";
 import BinaryUtils from "./BinaryUtils";
 import BinaryCommunicator from "./BinaryCommunicator";
 import {IgniteClientError} from "../Errors";
+import BinaryMapping from "./BinaryMapping";
 
 export default class BinaryType {
 
@@ -30,12 +30,14 @@ export default class BinaryType {
     private _fields: Map<number, BinaryField>;
     private _schemas: Map<number, BinarySchema>;
     private _name: string;
+    private _className: string;
     private _isEnum: boolean;
     private _enumValues: [string, number][];
 
-    constructor(name: string) {
-        this._name = name;
-        this._id = BinaryType._calculateId(name);
+    constructor(name: string, mapping: BinaryMapping = null) {
+        this._name = name === null ? null : mapping.typeName(name);
+        this._className = name;
+        this._id = name === null ? 0 : mapping.typeId(name);
         this._fields = new Map<number, BinaryField>();
         this._schemas = new Map<number, BinarySchema>();
         this._isEnum = false;
@@ -54,6 +56,11 @@ export default class BinaryType {
         return this._name;
     }
 
+    // Name of the type before it is mapped by the name mapper, eg. the name of Java class
+    get className() {
+        return this._className;
+    }
+
     get fields() {
         return [...this._fields.values()];
     }
@@ -84,6 +91,10 @@ export default class BinaryType {
         }
     }
 
+    get schemas() {
+        return [...this._schemas.values()];
+    }
+
     getSchema(schemaId: number) {
         return this._schemas.get(schemaId);
     }
@@ -106,7 +117,9 @@ export default class BinaryType {
     }
 
     clone() {
-        const result = new BinaryType(this._name);
+        const result = new BinaryType(null);
+        result._name = this._name;
+        result._className = this._className;
         result._id = this._id;
         result._fields = new Map(this._fields.entries());
         result._schemas = new Map(this._schemas.entries());
@@ -131,10 +144,6 @@ export default class BinaryType {
         return this._isEnum;
     }
 
-    static _calculateId(name): number {
-        return BinaryUtils.strHashCodeLowerCase(name);
-    }
-
     async _write(buffer) {
         // type id
         buffer.writeInteger(this._id);
@@ -316,9 +325,9 @@ export class BinaryField {
     private _name: string;
     private _id: number;
     private _typeCode: number;
-    constructor(name: string, typeCode: number) {
+    constructor(name: string, typeCode: number, id: number = 0) {
         this._name = name;
-        this._id = BinaryField._calculateId(name);
+        this._id = id;
         this._typeCode = typeCode;
     }
 
@@ -338,10 +347,6 @@ export class BinaryField {
         return this._name !== null;
     }
 
-    static _calculateId(name) {
-        return BinaryUtils.strHashCodeLowerCase(name);
-    }
-
     async _write(buffer) {
         // field name
         BinaryCommunicator.writeString(buffer, this._name);
@@ -365,15 +370,16 @@ export class BinaryTypeBuilder {
     private _schema: BinarySchema;
     private _type: BinaryType;
     private _fromStorage: boolean;
+    private _mapping: BinaryMapping;
 
-    static fromTypeName(typeName) {
-        let result = new BinaryTypeBuilder();
+    static fromTypeName(typeName, mapping: BinaryMapping) {
+        let result = new BinaryTypeBuilder(mapping);
         result._init(typeName);
         return result;
     }
 
     static async fromTypeId(communicator: BinaryCommunicator, typeId: number, schemaId: number) {
-        let result = new BinaryTypeBuilder();
+        let result = new BinaryTypeBuilder(communicator.mapping);
         let type = await communicator.typeStorage.getType(typeId, schemaId);
         if (type) {
             result._type = type;
@@ -396,20 +402,20 @@ export class BinaryTypeBuilder {
         return result;
     }
 
-    static fromObject(jsObject, complexObjectType = null) {
+    static fromObject(jsObject, complexObjectType: ComplexObjectType, mapping: BinaryMapping) {
         if (complexObjectType) {
-            return BinaryTypeBuilder.fromComplexObjectType(complexObjectType, jsObject);
+            return BinaryTypeBuilder.fromComplexObjectType(complexObjectType, jsObject, mapping);
         }
         else {
-            const result = new BinaryTypeBuilder();
+            const result = new BinaryTypeBuilder(mapping);
             result._fromComplexObjectType(new ComplexObjectType(jsObject), jsObject);
             return result;
         }
     }
 
-    static fromComplexObjectType(complexObjectType: ComplexObjectType, jsObject: object) {
-        let result = new BinaryTypeBuilder();
-        const typeInfo = BinaryTypeStorage.getByComplexObjectType(complexObjectType);
+    static fromComplexObjectType(complexObjectType: ComplexObjectType, jsObject: object, mapping: BinaryMapping) {
+        let result = new BinaryTypeBuilder(mapping);
+        const typeInfo = mapping.getByComplexObjectType(complexObjectType);
         if (typeInfo) {
             result._type = typeInfo[0];
             result._schema = typeInfo[1];
@@ -417,7 +423,7 @@ export class BinaryTypeBuilder {
         }
         else {
             result._fromComplexObjectType(complexObjectType, jsObject);
-            BinaryTypeStorage.setByComplexObjectType(complexObjectType, result._type, result._schema);
+            mapping.setByComplexObjectType(complexObjectType, result._type, result._schema);
         }
         return result;
     }
@@ -430,6 +436,19 @@ export class BinaryTypeBuilder {
         return this._type.name;
     }
 
+    // Name to map by other mappers, the mapped name if the type is read from the cluster
+    getClassName() {
+        return this._type.className || this._type.name;
+    }
+
+    getFieldId(fieldName: string): number {
+        return this._mapping.fieldId(this._type.id, fieldName);
+    }
+
+    get mapping(): BinaryMapping {
+        return this._mapping;
+    }
+
     getSchemaId() {
         return this._schema.id;
     }
@@ -447,17 +466,17 @@ export class BinaryTypeBuilder {
     }
 
     setField(fieldName, fieldTypeCode = null) {
-        const fieldId = BinaryField._calculateId(fieldName);
+        const fieldId = this.getFieldId(fieldName);
         if (!this._type.hasField(fieldId) || !this._schema.hasField(fieldId) ||
             this._type.getField(fieldId).typeCode !== fieldTypeCode) {
             this._beforeModify();
-            this._type.setField(new BinaryField(fieldName, fieldTypeCode));
+            this._type.setField(new BinaryField(fieldName, fieldTypeCode, fieldId));
             this._schema.addField(fieldId);
         }
     }
 
     removeField(fieldName) {
-        const fieldId = BinaryField._calculateId(fieldName);
+        const fieldId = this.getFieldId(fieldName);
         if (this._type.hasField(fieldId)) {
             this._beforeModify();
             this._type.removeField(fieldId);
@@ -470,10 +489,11 @@ export class BinaryTypeBuilder {
         await communicator.typeStorage.addType(this._type, this._schema);
     }
 
-    constructor() {
+    constructor(mapping: BinaryMapping) {
         this._type = null;
         this._schema = null;
         this._fromStorage = false;
+        this._mapping = mapping;
     }
 
     _fromComplexObjectType(complexObjectType, jsObject) {
@@ -484,7 +504,7 @@ export class BinaryTypeBuilder {
     }
 
     _init(typeName) {
-        this._type = new BinaryType(typeName);
+        this._type = new BinaryType(typeName, this._mapping);
         this._schema = new BinarySchema();
     }
 
@@ -21,43 +21,29 @@ import * as Util from "util";
 import { IgniteClientError } from "../Errors";
 import BinaryType, { BinarySchema } from "./BinaryType";
 import BinaryCommunicator from "./BinaryCommunicator";
-import {ComplexObjectType} from "../ObjectType";
+import { LOG_CATEGORY } from "../IgniteClientConfiguration";
+
+// Type names are registered for Java platform, which deserializes the objects on the server side and by Java clients
+const PLATFORM_JAVA = 0;
 
 export default class BinaryTypeStorage {
 
     private _communicator: BinaryCommunicator;
     private _types: Map<number, BinaryType>;
-    private static _complexObjectTypes: Map<ComplexObjectType, [BinaryType, BinarySchema]>;
 
     constructor(communicator) {
         this._communicator = communicator;
         this._types = new Map<number, BinaryType>();
     }
 
-    static getByComplexObjectType(complexObjectType: ComplexObjectType) {
-        return BinaryTypeStorage.complexObjectTypes.get(complexObjectType);
-    }
-
-    static setByComplexObjectType(complexObjectType: ComplexObjectType, type: BinaryType, schema: BinarySchema) {
-        if (!BinaryTypeStorage.complexObjectTypes.has(complexObjectType)) {
-            BinaryTypeStorage.complexObjectTypes.set(complexObjectType, [type, schema]);
-        }
-    }
-
-    static get complexObjectTypes() {
-        if (!BinaryTypeStorage._complexObjectTypes) {
-            BinaryTypeStorage._complexObjectTypes = new Map<ComplexObjectType, [BinaryType, BinarySchema]>();
-        }
-        return BinaryTypeStorage._complexObjectTypes;
-    }
-
     async addType(binaryType: BinaryType, binarySchema: BinarySchema) {
         const typeId = binaryType.id;
         const schemaId = binarySchema.id;
         let storageType = this._types.get(typeId);
         if (!storageType || !storageType.hasSchema(schemaId)) {
             binaryType.addSchema(binarySchema);
-            if (!storageType) {
+            const isNew = !storageType;
+            if (isNew) {
                 this._types.set(typeId, binaryType);
                 storageType = binaryType;
             }
@@ -65,6 +51,9 @@ export default class BinaryTypeStorage {
                 storageType.merge(binaryType, binarySchema);
             }
             await this._putBinaryType(binaryType);
+            if (isNew) {
+                await this._registerTypeNameSafe(binaryType);
+            }
         }
     }
 
@@ -79,8 +68,47 @@ export default class BinaryTypeStorage {
         return storageType;
     }
 
+    get types(): BinaryType[] {
+        return [...this._types.values()];
+    }
+
+    async registerTypeName(typeId: number, typeName: string) {
+        await this._communicator.send(
+            BinaryUtils.OPERATION.REGISTER_BINARY_TYPE_NAME,
+            async (payload) => {
+                payload.writeByte(PLATFORM_JAVA);
+                payload.writeInteger(typeId);
+                BinaryCommunicator.writeString(payload, typeName);
+            });
+    }
+
+    async getTypeName(typeId: number): Promise<string> {
+        let typeName = null;
+        await this._communicator.send(
+            BinaryUtils.OPERATION.GET_BINARY_TYPE_NAME,
+            async (payload) => {
+                payload.writeByte(PLATFORM_JAVA);
+                payload.writeInteger(typeId);
+            },
+            async (payload) => {
+                typeName = BinaryCommunicator.readString(payload);
+            });
+        return typeName;
+    }
+
     /** Private methods */
 
+    // The objects are written even if the name can not be registered, eg. it is registered for another type
+    async _registerTypeNameSafe(binaryType: BinaryType) {
+        try {
+            await this.registerTypeName(binaryType.id, binaryType.className || binaryType.name);
+        }
+        catch (err) {
+            this._communicator.logger.logWarn(LOG_CATEGORY.SERIALIZATION,
+                'Failed to register name of type "%s": %s', binaryType.name, err.message);
+        }
+    }
+
     async _getBinaryType(typeId: number) {
         let binaryType = new BinaryType(null);
         binaryType.id = typeId;
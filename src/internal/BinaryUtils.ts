@@ -31,6 +31,7 @@ import ArgumentChecker from "./ArgumentChecker";
 import { IgniteClientError } from "../Errors";
 import { PRIMITIVE_TYPE, COMPOSITE_TYPE } from "./Constants";
 import {BinaryObject} from "../BinaryObject";
+import { TypeRegistry } from "../TypeRegistry";
 import * as Long from "long";
 
 // Operation codes
@@ -74,10 +75,36 @@ export enum OPERATION {
     QUERY_SQL_CURSOR_GET_PAGE = 2003,
     QUERY_SQL_FIELDS = 2004,
     QUERY_SQL_FIELDS_CURSOR_GET_PAGE = 2005,
+    QUERY_CONTINUOUS = 2006,
+    QUERY_CONTINUOUS_EVENT_NOTIFICATION = 2007,
     RESOURCE_CLOSE = 0,
+    HEARTBEAT = 1,
     // Binary Types
+    GET_BINARY_TYPE_NAME = 3000,
+    REGISTER_BINARY_TYPE_NAME = 3001,
     GET_BINARY_TYPE = 3002,
-    PUT_BINARY_TYPE = 3003
+    PUT_BINARY_TYPE = 3003,
+    // Transactions
+    TX_START = 4000,
+    TX_END = 4001,
+    // Cluster API
+    CLUSTER_GET_STATE = 5000,
+    CLUSTER_CHANGE_STATE = 5001,
+    CLUSTER_CHANGE_WAL_STATE = 5002,
+    CLUSTER_GET_WAL_STATE = 5003,
+    CLUSTER_GROUP_GET_NODE_IDS = 5100,
+    CLUSTER_GROUP_GET_NODE_INFO = 5101,
+    CLUSTER_GROUP_GET_NODE_ENDPOINTS = 5102,
+    // Compute
+    COMPUTE_TASK_EXECUTE = 6000,
+    COMPUTE_TASK_FINISHED = 6001,
+    // Services
+    SERVICE_INVOKE = 7000,
+    SERVICE_GET_DESCRIPTORS = 7001,
+    SERVICE_GET_DESCRIPTOR = 7002,
+    // Data streamer
+    DATA_STREAMER_START = 8000,
+    DATA_STREAMER_ADD_DATA = 8001
 }
 
 export const TYPE_CODE = {
@@ -307,6 +334,19 @@ export default class BinaryUtils {
         ArgumentChecker.hasValueFrom(type, argName, false, ObjectType.PRIMITIVE_TYPE);
     }
 
+    // Returns the type to read the data of the specified type with,
+    // so that the complex objects are not deserialized and are returned as BinaryObject.
+    // BINARY_OBJECT type code is accepted by the reader for the data of any type
+    static getKeepBinaryType(type: PRIMITIVE_TYPE | CompositeType): PRIMITIVE_TYPE | CompositeType {
+        if (type === null || type instanceof ComplexObjectType) {
+            return BinaryUtils.TYPE_CODE.BINARY_OBJECT;
+        }
+        else if (type instanceof ObjectArrayType || type instanceof MapObjectType || type instanceof CollectionObjectType) {
+            return type._copy(BinaryUtils.getKeepBinaryType);
+        }
+        return type;
+    }
+
     static calcObjectType(object): PRIMITIVE_TYPE | CompositeType {
         const objectType = typeof object;
         if (object === null) {
@@ -315,6 +355,9 @@ export default class BinaryUtils {
         else if (objectType === 'number') {
             return BinaryUtils.TYPE_CODE.DOUBLE;
         }
+        else if (objectType === 'bigint') {
+            return BinaryUtils.TYPE_CODE.LONG;
+        }
         else if (objectType === 'string') {
             return BinaryUtils.TYPE_CODE.STRING;
         }
@@ -348,7 +391,7 @@ export default class BinaryUtils {
             return BinaryUtils.TYPE_CODE.BINARY_OBJECT;
         }
         else if (objectType === 'object') {
-            return new ComplexObjectType(object);
+            return TypeRegistry._getByObject(object) || new ComplexObjectType(object);
         }
         throw IgniteClientError.unsupportedTypeError(objectType);
     }
@@ -385,11 +428,15 @@ export default class BinaryUtils {
             case BinaryUtils.TYPE_CODE.BYTE:
             case BinaryUtils.TYPE_CODE.SHORT:
             case BinaryUtils.TYPE_CODE.INTEGER:
-            case BinaryUtils.TYPE_CODE.LONG:
                 if (!Number.isInteger(value)) {
                     throw IgniteClientError.valueCastError(value, typeCode);
                 }
                 return;
+            case BinaryUtils.TYPE_CODE.LONG:
+                if (!Number.isInteger(value) && valueType !== 'bigint') {
+                    throw IgniteClientError.valueCastError(value, typeCode);
+                }
+                return;
             case BinaryUtils.TYPE_CODE.FLOAT:
             case BinaryUtils.TYPE_CODE.DOUBLE:
                 if (valueType !== 'number') {
@@ -666,8 +713,8 @@ export default class BinaryUtils {
 
     static longHashCode(long) {
         // This method calcuates hash code for the Long GridGain type
-        // long must be a js 'number'
-        const longObj = Long.fromNumber(long);
+        // long must be a js 'number' or 'bigint'
+        const longObj = typeof long === 'bigint' ? Long.fromString(long.toString()) : Long.fromNumber(long);
         return longObj.getLowBits() ^ longObj.getHighBits();
     }
 
@@ -23,20 +23,25 @@ import * as Util from 'util';
 import BinaryUtils from "./BinaryUtils";
 
 import Logger from "./Logger";
+import { ClientMetrics } from "../ClientMetrics";
 import ArgumentChecker from "./ArgumentChecker";
 import BinaryCommunicator from "./BinaryCommunicator";
 import MessageBuffer from "./MessageBuffer";
 import {NetConnectOpts, Socket } from "net";
-import { LostConnectionError, OperationError, IllegalStateError, IgniteClientError } from '../Errors';
+import { LostConnectionError, OperationError, IllegalStateError, IgniteClientError, TimeoutError } from '../Errors';
 import { AffinityTopologyVersion } from './PartitionAwarenessUtils';
-import { IgniteClientConfiguration } from "../IgniteClientConfiguration";
+import { IgniteClientConfiguration, LOG_CATEGORY, LOG_LEVEL } from "../IgniteClientConfiguration";
 import { ConnectionOptions } from 'tls';
+import { ClientTransaction } from "../ClientTransactions";
 
 const HANDSHAKE_SUCCESS_STATUS_CODE = 1;
 const REQUEST_SUCCESS_STATUS_CODE = 0;
 const PORT_DEFAULT = 10800;
 const FLAG_ERROR = 1;
 const FLAG_TOPOLOGY_CHANGED = 2;
+const FLAG_NOTIFICATION = 4;
+// The server may never respond to a cancelled request, so only the most recent ids are kept
+const MAX_CANCELLED_REQUESTS = 1000;
 
 class ProtocolVersion {
 
@@ -90,16 +95,94 @@ const PROTOCOL_VERSION_1_1_0 = new ProtocolVersion(1, 1, 0);
 const PROTOCOL_VERSION_1_2_0 = new ProtocolVersion(1, 2, 0);
 const PROTOCOL_VERSION_1_3_0 = new ProtocolVersion(1, 3, 0);
 const PROTOCOL_VERSION_1_4_0 = new ProtocolVersion(1, 4, 0);
+const PROTOCOL_VERSION_1_5_0 = new ProtocolVersion(1, 5, 0);
+const PROTOCOL_VERSION_1_6_0 = new ProtocolVersion(1, 6, 0);
+const PROTOCOL_VERSION_1_7_0 = new ProtocolVersion(1, 7, 0);
 
 const SUPPORTED_VERSIONS = [
     // PROTOCOL_VERSION_1_0_0, // Support for QueryField precision/scale fields breaks 1.0.0 compatibility
     PROTOCOL_VERSION_1_1_0,
     PROTOCOL_VERSION_1_2_0,
     PROTOCOL_VERSION_1_3_0,
-    PROTOCOL_VERSION_1_4_0
+    PROTOCOL_VERSION_1_4_0,
+    PROTOCOL_VERSION_1_5_0,
+    PROTOCOL_VERSION_1_6_0,
+    PROTOCOL_VERSION_1_7_0
 ];
 
-const CURRENT_VERSION = PROTOCOL_VERSION_1_4_0;
+const CURRENT_VERSION = PROTOCOL_VERSION_1_7_0;
+
+// Default heartbeat timeout, in heartbeat intervals
+const HEARTBEAT_TIMEOUT_INTERVALS = 3;
+
+// Features which availability depends on the negotiated protocol version or on the features bitmask
+export enum PROTOCOL_FEATURE {
+    NOTIFICATIONS = 'notifications',
+    TRANSACTIONS = 'transactions',
+    EXPIRY_POLICY = 'expiry policy',
+    EXECUTE_TASK_BY_NAME = 'execute task by name',
+    CLUSTER_API = 'cluster API',
+    CLUSTER_NODE_ENDPOINTS = 'cluster node endpoints',
+    CLUSTER_GROUPS = 'cluster groups',
+    SERVICE_INVOKE = 'service invocation',
+    GET_SERVICE_DESCRIPTORS = 'service descriptors',
+    HEARTBEAT = 'heartbeat',
+    DATA_STREAMER = 'data streamer'
+}
+
+const PROTOCOL_FEATURE_VERSIONS = Object.freeze({
+    // The response flags exist since 1.4.0, but the notifications of continuous queries since 1.7.0 only
+    [PROTOCOL_FEATURE.NOTIFICATIONS] : PROTOCOL_VERSION_1_7_0,
+    [PROTOCOL_FEATURE.TRANSACTIONS] : PROTOCOL_VERSION_1_5_0,
+    [PROTOCOL_FEATURE.EXPIRY_POLICY] : PROTOCOL_VERSION_1_6_0,
+    [PROTOCOL_FEATURE.DATA_STREAMER] : PROTOCOL_VERSION_1_7_0
+});
+
+// Features negotiated during the handshake since 1.7.0: the client sends the bitmask of features it supports
+// and the server replies with the bitmask of features it supports. Values are the bit indexes in the bitmask
+const PROTOCOL_FEATURE_BITS = Object.freeze({
+    [PROTOCOL_FEATURE.EXECUTE_TASK_BY_NAME] : 1,
+    [PROTOCOL_FEATURE.CLUSTER_API] : 2,
+    [PROTOCOL_FEATURE.CLUSTER_NODE_ENDPOINTS] : 3,
+    [PROTOCOL_FEATURE.CLUSTER_GROUPS] : 4,
+    [PROTOCOL_FEATURE.SERVICE_INVOKE] : 5,
+    [PROTOCOL_FEATURE.GET_SERVICE_DESCRIPTORS] : 9,
+    [PROTOCOL_FEATURE.HEARTBEAT] : 11
+});
+
+// Listener of the server notifications. Receives either the notification payload or an error
+export type NotificationListener = (payload: MessageBuffer, error: Error) => void;
+
+// Subset of the AbortSignal interface used by the client to cancel operations
+export interface AbortSignalLike {
+    readonly aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+/**
+ * Options of an individual request to the server.
+ *
+ * @typedef CacheClient.RequestOptions
+ * @property {number} [timeout] - request timeout in milliseconds. Zero value means no timeout.
+ *   If not specified, the default request timeout of the client configuration is used.
+ * @property {AbortSignal} [signal] - signal to cancel the request.
+ */
+export interface RequestOptions {
+    timeout?: number;
+    signal?: AbortSignalLike;
+}
+
+// Request options together with the attributes of the request which are reported to the metrics and the request hooks
+export interface RequestContext extends RequestOptions {
+    cacheName?: string;
+    // Transaction the request is a part of, the request is sent via its connection
+    transaction?: ClientTransaction;
+    // Connection the request is sent via while it is connected, eg. to the primary node of the keys
+    connection?: ClientSocket;
+    // Feature the request requires, it is checked by the connection the request is sent via
+    feature?: PROTOCOL_FEATURE;
+}
 
 export enum STATE {
     INITIAL = 0,
@@ -118,6 +201,14 @@ export default class ClientSocket {
 
     private _requests: Map<string, Request>;
 
+    // Ids of the requests which are cancelled or timed out, their responses are ignored
+    private _cancelledRequests: Set<string>;
+
+    // The greatest id evicted from the cancelled requests, the responses up to it are ignored as well
+    private _evictedRequestId: Long;
+
+    private _notificationListeners: Map<string, NotificationListener>;
+
     private _nodeUuid: string;
 
     private _error: string | Error;
@@ -125,6 +216,10 @@ export default class ClientSocket {
     private _endpoint: string;
     private _config: IgniteClientConfiguration;
     private _communicator: BinaryCommunicator;
+
+    private _logger: Logger;
+
+    private _metrics: ClientMetrics;
     private _onSocketDisconnect: Function;
     private _onAffinityTopologyChange: Function;
     private _state: STATE;
@@ -133,6 +228,9 @@ export default class ClientSocket {
     private _wasConnected: boolean;
     private _handshakeRequestId: Long;
     private _protocolVersion: ProtocolVersion;
+    private _features: number[];
+    private _heartbeatTimer: NodeJS.Timeout;
+    private _heartbeatPending: boolean;
     private _port: number | string;
     private _version: number;
 
@@ -142,14 +240,22 @@ export default class ClientSocket {
         this._parseEndpoint(endpoint);
         this._config = config;
         this._communicator = communicator;
+        this._logger = communicator.logger;
+        this._metrics = communicator.metrics;
         this._onSocketDisconnect = onSocketDisconnect;
         this._onAffinityTopologyChange = onAffinityTopologyChange;
 
         this._state = STATE.INITIAL;
         this._requests = new Map<string, Request>();
+        this._cancelledRequests = new Set<string>();
+        this._evictedRequestId = null;
+        this._notificationListeners = new Map<string, NotificationListener>();
         this._requestId = Long.ZERO;
         this._handshakeRequestId = null;
         this._protocolVersion = null;
+        this._features = null;
+        this._heartbeatTimer = null;
+        this._heartbeatPending = false;
         this._wasConnected = false;
         this._socket = null;
         this._buffer = null;
@@ -184,13 +290,65 @@ export default class ClientSocket {
         return this._nodeUuid;
     }
 
-    async sendRequest(opCode, payloadWriter, payloadReader = null) {
+    get isConnected(): boolean {
+        return this._state === STATE.CONNECTED;
+    }
+
+    // Number of the requests which are sent but not responded yet
+    get inFlightRequests(): number {
+        return this._requests.size;
+    }
+
+    addNotificationListener(opCode: number, resourceId: Long, listener: NotificationListener) {
+        this._notificationListeners.set(this._getNotificationKey(opCode, resourceId.toString()), listener);
+    }
+
+    removeNotificationListener(opCode: number, resourceId: Long) {
+        this._notificationListeners.delete(this._getNotificationKey(opCode, resourceId.toString()));
+    }
+
+    isFeatureSupported(feature: PROTOCOL_FEATURE): boolean {
+        if (this._protocolVersion === null) {
+            return false;
+        }
+        if (feature in PROTOCOL_FEATURE_BITS) {
+            const bit = PROTOCOL_FEATURE_BITS[feature];
+            return this._features !== null && (bit >> 3) < this._features.length &&
+                (this._features[bit >> 3] & (1 << (bit & 7))) !== 0;
+        }
+        return this._protocolVersion.compareTo(PROTOCOL_FEATURE_VERSIONS[feature]) >= 0;
+    }
+
+    async sendRequest(opCode, payloadWriter, payloadReader = null, options: RequestContext = null) {
         if (this._state === STATE.CONNECTED) {
-            return new Promise(async (resolve, reject) => {
-                const request = new Request(this.requestId, opCode, payloadWriter, payloadReader, resolve, reject);
-                this._addRequest(request);
-                await this._sendRequest(request);
-            });
+            if (options && options.feature && !this.isFeatureSupported(options.feature)) {
+                throw IgniteClientError.unsupportedFeatureError(options.feature);
+            }
+            if (options && options.timeout !== undefined) {
+                ArgumentChecker.isInteger(options.timeout, 'options.timeout');
+            }
+            const timeout = options && options.timeout !== undefined ? options.timeout : this._config.requestTimeout;
+            const signal = options ? options.signal : null;
+            if (signal && signal.aborted) {
+                throw IgniteClientError.operationCancelledError();
+            }
+            const requestId = this.requestId;
+            const [info, context] = this._metrics.onRequestStart(
+                requestId.toString(), opCode, this._endpoint, options && options.cacheName || null);
+            try {
+                const result = await new Promise(async (resolve, reject) => {
+                    const request = new Request(requestId, opCode, payloadWriter, payloadReader, resolve, reject);
+                    this._addRequest(request);
+                    this._watchRequest(request, timeout, signal);
+                    await this._sendRequest(request);
+                });
+                this._metrics.onRequestEnd(info, context, null);
+                return result;
+            }
+            catch (err) {
+                this._metrics.onRequestEnd(info, context, err);
+                throw err;
+            }
         }
         else {
             throw new IllegalStateError(this._state);
@@ -216,6 +374,7 @@ export default class ClientSocket {
         }
 
         this._socket.on('data', async (data: Buffer) => {
+            this._metrics.onBytesReceived(data.length);
             try {
                 await this._processResponse(data);
             }
@@ -238,10 +397,62 @@ export default class ClientSocket {
         this._requests.set(request.id.toString(), request);
     }
 
+    // Rejects the request if it is not responded within the timeout or if it is aborted by the signal
+    _watchRequest(request: Request, timeout: number, signal: AbortSignalLike) {
+        if (!(timeout > 0) && !signal) {
+            return;
+        }
+
+        const cancel = (error: Error) => {
+            const id = request.id.toString();
+            // The request may be already responded
+            if (this._requests.get(id) === request) {
+                this._requests.delete(id);
+                this._addCancelledRequest(request.id);
+                request.reject(error);
+            }
+        };
+
+        const timer = timeout > 0 ? setTimeout(() => cancel(new TimeoutError(timeout)), timeout) : null;
+        const onAbort = () => cancel(IgniteClientError.operationCancelledError());
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        request.onComplete(() => {
+            if (timer) {
+                clearTimeout(timer);
+            }
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        });
+    }
+
+    _addCancelledRequest(id: Long) {
+        if (this._cancelledRequests.size >= MAX_CANCELLED_REQUESTS) {
+            const evictedId = Long.fromString(this._cancelledRequests.values().next().value);
+            this._cancelledRequests.delete(evictedId.toString());
+            if (this._evictedRequestId === null || evictedId.greaterThan(this._evictedRequestId)) {
+                this._evictedRequestId = evictedId;
+            }
+        }
+        this._cancelledRequests.add(id.toString());
+    }
+
+    _isCancelledRequest(requestId: string): boolean {
+        if (this._cancelledRequests.delete(requestId)) {
+            return true;
+        }
+        // Every request up to the evicted one has been either responded or cancelled
+        return this._evictedRequestId !== null && Long.fromString(requestId).lessThanOrEqual(this._evictedRequestId);
+    }
+
     async _sendRequest(request: Request) {
         try {
             const message = await request.getMessage();
             this._logMessage(request.id.toString(), true, message);
+            this._metrics.onBytesSent(message.length);
             this._socket.write(message);
         }
         catch (err) {
@@ -271,7 +482,14 @@ export default class ClientSocket {
             if (buffer.length < this._offset + length) {
               break;
             }
+
+            // Every response is processed in its own buffer,
+            // so payload readers may keep it and read it later
+            const response = MessageBuffer.from(
+                buffer.getSlice(this._offset, this._offset + length),
+                BinaryUtils.getSize(BinaryUtils.TYPE_CODE.INTEGER));
             this._offset += length;
+            buffer.position = this._offset;
 
             let requestId;
             const isHandshake = this._state === STATE.HANDSHAKE;
@@ -282,33 +500,65 @@ export default class ClientSocket {
             }
             else {
                 // Request id
-                requestId = buffer.readLong().toString();
+                requestId = response.readLong().toString();
             }
 
-            this._logMessage(requestId, false, buffer.getSlice(this._offset - length, length));
+            this._logMessage(requestId, false, response.data);
 
             if (this._offset === buffer.length) {
                 this._buffer = null;
                 this._offset = 0;
             }
 
+            let flags = 0;
+            if (!isHandshake && this._protocolVersion.compareTo(PROTOCOL_VERSION_1_4_0) >= 0) {
+                flags = response.readShort();
 
-            if (this._requests.has(requestId)) {
+                if (flags & FLAG_TOPOLOGY_CHANGED) {
+                    const newVersion = new AffinityTopologyVersion(response);
+                    await this._onAffinityTopologyChange(newVersion);
+                }
+            }
+
+            if (flags & FLAG_NOTIFICATION) {
+                this._processNotification(requestId, flags, response);
+            }
+            else if (this._requests.has(requestId)) {
                 const request = this._requests.get(requestId);
                 this._requests.delete(requestId);
                 if (isHandshake) {
-                    await this._finalizeHandshake(buffer, request);
+                    await this._finalizeHandshake(response, request);
                 }
                 else {
-                    await this._finalizeResponse(buffer, request);
+                    await this._finalizeResponse(response, request, flags);
                 }
             }
+            else if (this._isCancelledRequest(requestId)) {
+                this._logger.logDebug(LOG_CATEGORY.PROTOCOL, 'Response to the cancelled request %s is ignored', requestId);
+            }
             else {
                 throw IgniteClientError.internalError('Invalid response id: ' + requestId);
             }
         }
     }
 
+    _processNotification(resourceId: string, flags: number, buffer: MessageBuffer) {
+        const opCode = buffer.readShort();
+        const listener = this._notificationListeners.get(this._getNotificationKey(opCode, resourceId));
+        if (!listener) {
+            this._logger.logDebug(LOG_CATEGORY.PROTOCOL, 'Notification %d for unknown resource %s is ignored', opCode, resourceId);
+            return;
+        }
+
+        if (flags & FLAG_ERROR) {
+            buffer.readInteger();
+            listener(null, new OperationError(BinaryCommunicator.readString(buffer)));
+        }
+        else {
+            listener(buffer, null);
+        }
+    }
+
     async _finalizeHandshake(buffer: MessageBuffer, request: Request) {
         const isSuccess = buffer.readByte() === HANDSHAKE_SUCCESS_STATUS_CODE;
 
@@ -339,17 +589,21 @@ export default class ClientSocket {
             }
         }
         else {
+            if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_7_0) >= 0) {
+                this._features = await this._communicator.readObject(buffer, BinaryUtils.TYPE_CODE.BYTE_ARRAY);
+            }
             if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_4_0) >= 0) {
                 this._nodeUuid = await this._communicator.readObject(buffer, BinaryUtils.TYPE_CODE.UUID);
             }
 
             this._state = STATE.CONNECTED;
             this._wasConnected = true;
+            this._startHeartbeats();
             request.resolve();
         }
     }
 
-    async _finalizeResponse(buffer: MessageBuffer, request: Request) {
+    async _finalizeResponse(buffer: MessageBuffer, request: Request, flags: number) {
         let statusCode, isSuccess;
 
         if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_4_0) < 0) {
@@ -359,14 +613,8 @@ export default class ClientSocket {
         }
         else {
             // Check flags
-            let flags = buffer.readShort();
             isSuccess = !(flags & FLAG_ERROR);
 
-            if (flags & FLAG_TOPOLOGY_CHANGED) {
-                const newVersion = new AffinityTopologyVersion(buffer);
-                await this._onAffinityTopologyChange(newVersion);
-            }
-
             if (!isSuccess) {
                 statusCode = buffer.readInteger();
             }
@@ -397,6 +645,10 @@ export default class ClientSocket {
         this._protocolVersion.write(payload);
         // Client code
         payload.writeByte(2);
+        if (this._protocolVersion.compareTo(PROTOCOL_VERSION_1_7_0) >= 0) {
+            await this._communicator.writeObject(
+                payload, ClientSocket._getClientFeatures(), BinaryUtils.TYPE_CODE.BYTE_ARRAY);
+        }
         if (this._config.userName) {
             BinaryCommunicator.writeString(payload, this._config.userName);
             BinaryCommunicator.writeString(payload, this._config.password);
@@ -421,12 +673,59 @@ export default class ClientSocket {
         return false;
     }
 
+    _startHeartbeats() {
+        const interval = this._config.heartbeatInterval;
+        if (interval <= 0) {
+            return;
+        }
+        if (!this.isFeatureSupported(PROTOCOL_FEATURE.HEARTBEAT)) {
+            this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Heartbeats are not supported by %s', this._endpoint);
+            return;
+        }
+        this._heartbeatTimer = setInterval(() => this._sendHeartbeat(), interval);
+        // Heartbeats must not keep the process running
+        this._heartbeatTimer.unref();
+    }
+
+    _sendHeartbeat() {
+        if (this._heartbeatPending) {
+            // The previous heartbeat is still within its timeout
+            return;
+        }
+        this._heartbeatPending = true;
+        const timeout = this._config.heartbeatTimeout > 0 ?
+            this._config.heartbeatTimeout :
+            this._config.heartbeatInterval * HEARTBEAT_TIMEOUT_INTERVALS;
+        this.sendRequest(BinaryUtils.OPERATION.HEARTBEAT, null, null, { timeout : timeout }).
+            then(() => this._heartbeatPending = false).
+            catch((err) => {
+                // Lost connection is processed by _disconnect()
+                if (err instanceof TimeoutError && this._state === STATE.CONNECTED) {
+                    this._error = 'Heartbeat timeout: no response from ' + this._endpoint;
+                    this._logger.logWarn(LOG_CATEGORY.CONNECTION, <string>this._error);
+                    this._disconnect();
+                    // The node does not respond, so the socket is not waited for to be closed gracefully
+                    this._socket.destroy();
+                }
+            });
+    }
+
     _disconnect(close = true, callOnDisconnect = true) {
         this._state = STATE.DISCONNECTED;
+        if (this._heartbeatTimer) {
+            clearInterval(this._heartbeatTimer);
+            this._heartbeatTimer = null;
+        }
         this._requests.forEach((request, id) => {
             request.reject(new LostConnectionError(this._error));
             this._requests.delete(id);
         });
+        this._cancelledRequests.clear();
+        this._evictedRequestId = null;
+        this._notificationListeners.forEach((listener, key) => {
+            listener(null, new LostConnectionError(this._error));
+            this._notificationListeners.delete(key);
+        });
         if (this._wasConnected && callOnDisconnect && this._onSocketDisconnect) {
             this._onSocketDisconnect(this, this._error);
         }
@@ -436,6 +735,23 @@ export default class ClientSocket {
         }
     }
 
+    static _getClientFeatures(): number[] {
+        const features = [];
+        for (const feature in PROTOCOL_FEATURE_BITS) {
+            const bit = PROTOCOL_FEATURE_BITS[feature];
+            while (features.length <= (bit >> 3)) {
+                features.push(0);
+            }
+            features[bit >> 3] |= 1 << (bit & 7);
+        }
+        // bytes are signed
+        return features.map(b => (b << 24) >> 24);
+    }
+
+    _getNotificationKey(opCode: number, resourceId: string) {
+        return opCode + ':' + resourceId;
+    }
+
     _parseEndpoint(endpoint) {
         endpoint = endpoint.trim();
         this._host = endpoint;
@@ -479,9 +795,9 @@ export default class ClientSocket {
     }
 
     _logMessage(requestId, isRequest, message) {
-        if (Logger.debug) {
-            Logger.logDebug((isRequest ? 'Request: ' : 'Response: ') + requestId);
-            Logger.logDebug('[' + [...message] + ']');
+        if (this._logger.isEnabled(LOG_CATEGORY.PROTOCOL, LOG_LEVEL.DEBUG)) {
+            this._logger.logDebug(LOG_CATEGORY.PROTOCOL, '%s %s: %s',
+                isRequest ? 'Request' : 'Response', requestId, Buffer.from(message).toString('hex'));
         }
     }
 }
@@ -493,13 +809,34 @@ class Request {
     private _payloadWriter: Function;
     private _opCode: number;
     private _payloadReader: Function;
+    private _onComplete: Function;
     constructor(id: Long, opCode, payloadWriter, payloadReader, resolve: Function, reject: Function) {
         this._id = id;
         this._opCode = opCode;
         this._payloadWriter = payloadWriter;
         this._payloadReader = payloadReader;
-        this._resolve = resolve;
-        this._reject = reject;
+        this._onComplete = null;
+        this._resolve = (value) => {
+            this._complete();
+            resolve(value);
+        };
+        this._reject = (error) => {
+            this._complete();
+            reject(error);
+        };
+    }
+
+    // Sets the callback which is called once the request is resolved or rejected
+    onComplete(callback: Function) {
+        this._onComplete = callback;
+    }
+
+    _complete() {
+        if (this._onComplete) {
+            const callback = this._onComplete;
+            this._onComplete = null;
+            callback();
+        }
     }
 
     get id(): Long {
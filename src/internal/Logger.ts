@@ -16,28 +16,82 @@
 
 'use strict';
 
-/** Utility class for logging errors and debug messages. */
+import * as Util from 'util';
+import { IgniteClientConfiguration, IgniteLogger, LOG_CATEGORY, LOG_LEVEL } from "../IgniteClientConfiguration";
+
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger of one client instance.
+ *
+ * Passes the messages to the logger specified in the client configuration, filtered by the levels of their categories.
+ * If the logger is not specified, writes all messages to the console if the debug output is enabled.
+ */
 export default class Logger {
 
-    private static _debug: boolean = false;
+    private _debug: boolean;
+
+    private _logger: IgniteLogger;
+
+    private _level: LOG_LEVEL;
+
+    private _levels: Map<LOG_CATEGORY, LOG_LEVEL>;
+
+    constructor() {
+        this._debug = false;
+        this._logger = null;
+        this._level = LOG_LEVEL.OFF;
+        this._levels = new Map<LOG_CATEGORY, LOG_LEVEL>();
+    }
+
+    get debug(): boolean {
+        return this._debug;
+    }
 
-    static get debug(): boolean {
-        return Logger._debug;
+    set debug(value: boolean) {
+        this._debug = value;
     }
 
-    static set debug(value: boolean) {
-        Logger._debug = value;
+    configure(config: IgniteClientConfiguration) {
+        this._logger = config.logger;
+        this._level = config.logLevel;
+        this._levels = new Map<LOG_CATEGORY, LOG_LEVEL>(config.logLevels);
     }
 
-    static logDebug(data: string, ...args: any[]) {
-        if (Logger._debug) {
-            console.log(data, ...args);
+    isEnabled(category: LOG_CATEGORY, level: LOG_LEVEL): boolean {
+        if (!this._logger) {
+            return this._debug;
         }
+        const minLevel = this._levels.has(category) ? this._levels.get(category) : this._level;
+        return level >= minLevel;
     }
 
-    static logError(data: string, ...args: any[]) {
-        if (Logger._debug) {
-            console.log('ERROR: ' + data, ...args);
+    logDebug(category: LOG_CATEGORY, data: string, ...args: any[]) {
+        this._log(category, LOG_LEVEL.DEBUG, data, args);
+    }
+
+    logInfo(category: LOG_CATEGORY, data: string, ...args: any[]) {
+        this._log(category, LOG_LEVEL.INFO, data, args);
+    }
+
+    logWarn(category: LOG_CATEGORY, data: string, ...args: any[]) {
+        this._log(category, LOG_LEVEL.WARN, data, args);
+    }
+
+    logError(category: LOG_CATEGORY, data: string, ...args: any[]) {
+        this._log(category, LOG_LEVEL.ERROR, data, args);
+    }
+
+    _log(category: LOG_CATEGORY, level: LOG_LEVEL, data: string, args: any[]) {
+        if (!this.isEnabled(category, level)) {
+            return;
+        }
+        const message = Util.format(data, ...args);
+        if (this._logger) {
+            this._logger[LOGGER_METHODS[level]](Util.format('[%s] %s', category, message));
+        }
+        else {
+            console.log(level === LOG_LEVEL.ERROR ? 'ERROR: ' + message : message);
         }
     }
 }
@@ -93,6 +93,10 @@ export default class MessageBuffer {
     }
 
     writeLong(value) {
+        if (typeof value === 'bigint') {
+            this._writeBigInt(value);
+            return;
+        }
         try {
             if (!Long.isLong(value)) {
                 value = Long.fromValue(value);
@@ -199,6 +203,14 @@ export default class MessageBuffer {
         return value;
     }
 
+    readBigInt(): bigint {
+        const size = BinaryUtils.getSize(BinaryUtils.TYPE_CODE.LONG);
+        this._ensureSize(size);
+        const value = this._buffer.readBigInt64LE(this._position);
+        this._position += size;
+        return value;
+    }
+
     readFloat(): number {
         return this.readNumber(BinaryUtils.TYPE_CODE.FLOAT);
     }
@@ -280,6 +292,18 @@ export default class MessageBuffer {
         }
     }
 
+    _writeBigInt(value: bigint) {
+        const size = BinaryUtils.getSize(BinaryUtils.TYPE_CODE.LONG);
+        this._ensureCapacity(size);
+        try {
+            this._buffer.writeBigInt64LE(value, this._position);
+        }
+        catch (err) {
+            throw IgniteClientError.valueCastError(value, BinaryUtils.TYPE_CODE.LONG);
+        }
+        this._position += size;
+    }
+
     _ensureCapacity(valueSize) {
         if (valueSize <= 0) {
             throw IgniteClientError.internalError();
@@ -16,12 +16,14 @@
 
 'use strict';
 
+const Long = require('long');
 import * as Util from "util";
 import { IgniteClient, IgniteClientOnStateChanged, STATE } from "../IgniteClient";
-import ClientSocket from "./ClientSocket";
+import ClientSocket, { PROTOCOL_FEATURE, RequestContext } from "./ClientSocket";
 import BinaryUtils from "./BinaryUtils";
 import { BinaryObject } from "../BinaryObject";
 import Logger from "./Logger";
+import { LOG_CATEGORY, LOG_LEVEL } from "../IgniteClientConfiguration";
 import { AffinityTopologyVersion, CacheAffinityMap, PartitionAwarenessCacheGroup, RendezvousAffinityFunction } from "./PartitionAwarenessUtils";
 import { IgniteClientError, LostConnectionError, IllegalStateError } from "../Errors";
 import BinaryCommunicator from "./BinaryCommunicator";
@@ -29,6 +31,7 @@ import { IgniteClientConfiguration } from "../IgniteClientConfiguration";
 import {AffinityHint} from "../CacheClient";
 import {PRIMITIVE_TYPE} from "./Constants";
 import {CompositeType} from "../ObjectType";
+import {ReconnectPolicy} from "../ReconnectPolicy";
 
 export default class Router {
 
@@ -39,11 +42,18 @@ export default class Router {
     private _distributionMap: Map<number, CacheAffinityMap>;
     private _communicator: BinaryCommunicator;
     private _config: IgniteClientConfiguration;
+    private _logger: Logger;
     private _onStateChanged: IgniteClientOnStateChanged;
     private _inactiveEndpoints: string[];
     private _backgroundConnectTask: Promise<void>;
     private _legacyConnection: ClientSocket;
     private _affinityTopologyVer: AffinityTopologyVersion;
+    private _reconnectTask: Promise<void>;
+    private _stopBackoff: Function;
+    private _pools: Map<ClientSocket, ClientSocket[]>;
+    private _fillingPools: Set<ClientSocket>;
+    private _discoveredEndpoints: Map<string, string>;
+    private _discoveredTopologyVer: AffinityTopologyVersion;
 
     constructor(onStateChanged: IgniteClientOnStateChanged) {
         this._state = IgniteClient.STATE.DISCONNECTED;
@@ -65,6 +75,18 @@ export default class Router {
         // {cacheId -> CacheAffinityMap}
         this._distributionMap = new Map<number, CacheAffinityMap>();
         this._affinityTopologyVer = null;
+        // Contains the reconnection task (promise) if all connections are lost, or null
+        this._reconnectTask = null;
+        // Interrupts the wait before the next connection attempt, or null if there is no wait
+        this._stopBackoff = null;
+        // {ClientSocket instance of a node -> additional ClientSocket instances to the same node}
+        this._pools = new Map<ClientSocket, ClientSocket[]>();
+        // ClientSocket instances of the nodes which additional connections are being opened to
+        this._fillingPools = new Set<ClientSocket>();
+        // {endpoint of a node obtained from the cluster -> node UUID}
+        this._discoveredEndpoints = new Map<string, string>();
+        // Topology version the endpoints have been obtained for, undefined if they have not been obtained yet
+        this._discoveredTopologyVer = undefined;
     }
 
     async connect(communicator: BinaryCommunicator, config: IgniteClientConfiguration) {
@@ -72,13 +94,17 @@ export default class Router {
             throw new IllegalStateError(this._state);
         }
 
-        // Wait for background task to stop before we move forward
+        // Wait for background and reconnection tasks to stop before we move forward
         await this._waitBackgroundConnect();
+        await this._waitReconnect();
 
         this._communicator = communicator;
+        this._logger = communicator.logger;
         this._config = config;
         this._partitionAwarenessAllowed = config.partitionAwareness;
         this._inactiveEndpoints = [...config.endpoints];
+        this._discoveredEndpoints = new Map<string, string>();
+        this._discoveredTopologyVer = undefined;
 
         await this._connect();
     }
@@ -87,7 +113,11 @@ export default class Router {
         if (this._state !== IgniteClient.STATE.DISCONNECTED) {
             this._changeState(IgniteClient.STATE.DISCONNECTED);
 
-            for (const socket of this._getAllConnections()) {
+            if (this._stopBackoff) {
+                this._stopBackoff();
+            }
+
+            for (const socket of this._getAllSockets()) {
                     socket.disconnect();
             }
 
@@ -95,57 +125,203 @@ export default class Router {
         }
     }
 
-    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null) {
+    // Returns the connection the request has been sent to
+    async send(opCode, payloadWriter, payloadReader = null, affinityHint: AffinityHint = null,
+               options: RequestContext = null): Promise<ClientSocket> {
         if (this._state !== IgniteClient.STATE.CONNECTED) {
             throw new IllegalStateError(this._state);
         }
 
-        if (this._partitionAwarenessActive && affinityHint) {
-            await this._affinitySend(opCode, payloadWriter, payloadReader, affinityHint);
+        // Requests inside a transaction are not retried, the transaction is lost together with the connection
+        const retryPolicy = options && options.transaction ? null : this._config.retryPolicy;
+
+        for (let retry = 0; ; retry++) {
+            try {
+                return await this._send(opCode, payloadWriter, payloadReader, affinityHint, options);
+            }
+            catch (err) {
+                if (!(err instanceof LostConnectionError) || !retryPolicy || !retryPolicy._canRetry(opCode, retry)) {
+                    throw err;
+                }
+
+                // If all connections are lost, the request can be retried only after the reconnection
+                await this._waitReconnect();
+                if (this._state !== IgniteClient.STATE.CONNECTED) {
+                    throw err;
+                }
+
+                this._logger.logInfo(LOG_CATEGORY.CONNECTION, 'Retrying %s after connection loss',
+                    BinaryUtils.OPERATION[opCode]);
+            }
+        }
+    }
+
+    async _send(opCode, payloadWriter, payloadReader, affinityHint: AffinityHint,
+                options: RequestContext): Promise<ClientSocket> {
+        let socket: ClientSocket;
+        if (options && options.transaction) {
+            // The requests of a transaction must be sent to the connection which started it
+            socket = options.transaction._getSocket();
+        }
+        else if (options && options.connection && options.connection.isConnected) {
+            // The retried request is routed again, as the connection is lost
+            socket = options.connection;
+        }
+        else if (this._partitionAwarenessActive && affinityHint) {
+            return await this._affinitySend(opCode, payloadWriter, payloadReader, affinityHint, options);
         }
         else {
-            // If _partitionAwarenessActive flag is not set, we have exactly one connection
+            // If _partitionAwarenessActive flag is not set, we have exactly one node
             // but it can be either a legacy one or a modern one (with node UUID)
-            // If affinityHint has not been passed, we want to always use one socket (as long as it is alive)
-            // because some requests (e.g., SQL cursor-related) require to be sent to the same cluster node
-            await this._getAllConnections()[0].sendRequest(opCode, payloadWriter, payloadReader);
+            // If affinityHint has not been passed, we want to always use one node (as long as it is alive)
+            // The requests which must be sent to the same connection (e.g., SQL cursor-related) are sent directly to it
+            socket = this._balance(this._getAllConnections()[0]);
+        }
+        await socket.sendRequest(opCode, payloadWriter, payloadReader, options);
+        return socket;
+    }
+
+    // Returns the connection which is used for requests without affinity hint.
+    // If node ids are specified, the connection to one of these nodes is preferred
+    getConnection(nodeIds: number[][] = null): ClientSocket {
+        if (this._state !== IgniteClient.STATE.CONNECTED) {
+            throw new IllegalStateError(this._state);
+        }
+
+        if (nodeIds) {
+            for (const nodeId of nodeIds) {
+                // node id is represented by byte array, it is converted to string to be used as connections map key
+                const key = "" + nodeId;
+                if (key in this._connections) {
+                    return this._balance(this._connections[key]);
+                }
+            }
+        }
+
+        return this._balance(this._getAllConnections()[0]);
+    }
+
+    // Returns the same connection as getConnection() does, if it supports the feature
+    getFeatureConnection(feature: PROTOCOL_FEATURE, nodeIds: number[][] = null): ClientSocket {
+        const socket = this.getConnection(nodeIds);
+        if (!socket.isFeatureSupported(feature)) {
+            throw IgniteClientError.unsupportedFeatureError(feature);
+        }
+        return socket;
+    }
+
+    // Returns the connection to the primary node of the key if it is known,
+    // otherwise the connection which is used for requests without affinity hint
+    async getAffinityConnection(affinityHint: AffinityHint): Promise<ClientSocket> {
+        if (this._state !== IgniteClient.STATE.CONNECTED) {
+            throw new IllegalStateError(this._state);
+        }
+
+        if (this._partitionAwarenessActive) {
+            const connection = await this._getPrimaryConnection(affinityHint);
+            if (connection) {
+                return connection;
+            }
+        }
+
+        return this.getConnection();
+    }
+
+    // Groups the items by the connections to the primary nodes of their keys.
+    // Returns null if the primary nodes are not known, the items should be sent in one request then
+    async groupByPrimaryNode<T>(cacheId: number, items: T[], getKey: (item: T) => object,
+                                keyType: PRIMITIVE_TYPE | CompositeType): Promise<Map<ClientSocket, T[]>> {
+        if (this._state !== IgniteClient.STATE.CONNECTED) {
+            throw new IllegalStateError(this._state);
+        }
+
+        if (!this._partitionAwarenessActive) {
+            return null;
+        }
+
+        if (!this._distributionMap.has(cacheId)) {
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Distribution map does not have info for the cache ' + cacheId);
+            // We are not awaiting here in order to not increase latency of requests
+            this._getCachePartitions(cacheId);
+            return null;
+        }
+
+        const cacheAffinityMap = this._distributionMap.get(cacheId);
+        const groups = new Map<ClientSocket, T[]>();
+        for (const item of items) {
+            const nodeId: string = "" + await this._determineNodeId(cacheAffinityMap, getKey(item), keyType);
+            // Items of the unknown nodes are sent to the default connection
+            const connection = nodeId in this._connections ? this._balance(this._connections[nodeId]) : this.getConnection();
+            if (!groups.has(connection)) {
+                groups.set(connection, []);
+            }
+            groups.get(connection).push(item);
         }
+        return groups;
     }
 
-    async _connect() {
+    // Tries to connect to one of the endpoints. If the reconnect policy is specified,
+    // the attempts are repeated with the delays according to it
+    async _connect(reconnectPolicy: ReconnectPolicy = null) {
         const errors = [];
-        const endpoints = this._inactiveEndpoints;
         const config = this._config;
         const communicator = this._communicator;
         const onSocketDisconnect = this._onSocketDisconnect.bind(this);
         const onAffinityTopologyChange = this._onAffinityTopologyChange.bind(this);
-        const endpointsNum = endpoints.length;
-        const random = this._getRandomInt(endpointsNum);
 
         this._changeState(IgniteClient.STATE.CONNECTING);
 
-        for (let i = 0; i < endpoints.length; i++) {
-            const index = (i + random) % endpointsNum;
-            const endpoint = endpoints[index];
+        for (let attempt = 0; ; attempt++) {
+            // The endpoints are resolved on every attempt, the cluster could be changed in the meantime
+            await this._resolveEndpoints();
+            // While we were waiting, someone could call disconnect()
+            if (this._state !== IgniteClient.STATE.CONNECTING) {
+                throw new IllegalStateError(this._state);
+            }
 
-            try {
-                const socket = new ClientSocket(
-                    endpoint, config, communicator,
-                    onSocketDisconnect,
-                    onAffinityTopologyChange);
+            const endpoints = this._inactiveEndpoints;
+            const endpointsNum = endpoints.length;
+            const random = this._getRandomInt(endpointsNum);
+            // Only the errors of the last attempt are reported
+            errors.length = 0;
+            if (endpointsNum === 0) {
+                errors.push('No endpoints to connect to');
+            }
 
-                await socket.connect();
-                Logger.logDebug(Util.format('Connected to %s', endpoint));
-                this._changeState(IgniteClient.STATE.CONNECTED);
-                this._addConnection(socket);
+            for (let i = 0; i < endpoints.length; i++) {
+                const index = (i + random) % endpointsNum;
+                const endpoint = endpoints[index];
 
-                this._runBackgroundConnect();
+                try {
+                    const socket = new ClientSocket(
+                        endpoint, config, communicator,
+                        onSocketDisconnect,
+                        onAffinityTopologyChange);
 
-                return;
+                    await socket.connect();
+                    this._logger.logInfo(LOG_CATEGORY.CONNECTION, 'Connected to %s', endpoint);
+                    this._changeState(IgniteClient.STATE.CONNECTED);
+                    this._addConnection(socket);
+
+                    this._runBackgroundConnect();
+
+                    return;
+                }
+                catch (err) {
+                    this._logger.logWarn(LOG_CATEGORY.CONNECTION, 'Could not connect to %s. Error: "%s"', endpoint, err.message);
+                    errors.push(Util.format('[%s] %s', endpoint, err.message));
+                }
             }
-            catch (err) {
-                Logger.logDebug(Util.format('Could not connect to %s. Error: "%s"', endpoint, err.message));
-                errors.push(Util.format('[%s] %s', endpoint, err.message));
+
+            if (!reconnectPolicy || !reconnectPolicy._hasAttempt(attempt + 1)) {
+                break;
+            }
+
+            const delay = reconnectPolicy._getDelay(attempt);
+            this._logger.logInfo(LOG_CATEGORY.CONNECTION, 'Next connection attempt in %d ms', delay);
+            // While we were waiting, someone could call disconnect()
+            if (!await this._waitBackoff(delay) || this._state !== IgniteClient.STATE.CONNECTING) {
+                throw new IgniteClientError(errors.join('; '));
             }
         }
 
@@ -154,10 +330,62 @@ export default class Router {
         throw new IgniteClientError(error);
     }
 
+    // Replaces the endpoints to connect to with the configured ones, the ones returned by the address resolver
+    // and the ones discovered from the cluster. Does nothing if the address resolver is not specified
+    async _resolveEndpoints() {
+        const resolver = this._config.addressResolver;
+        if (!resolver) {
+            return;
+        }
+
+        let resolvedEndpoints: string[];
+        try {
+            resolvedEndpoints = await resolver();
+            if (!(resolvedEndpoints instanceof Array)) {
+                throw IgniteClientError.illegalArgumentError('Address resolver should return an array of endpoints');
+            }
+        }
+        catch (err) {
+            this._logger.logWarn(LOG_CATEGORY.CONNECTION, 'Could not resolve endpoints. Error: "%s"', err.message);
+            resolvedEndpoints = [];
+        }
+
+        this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Resolved endpoints: %s', resolvedEndpoints.join(', '));
+        // The discovered endpoints are not requested again until the topology changes, so they are kept
+        this._inactiveEndpoints = [...new Set(
+            [...this._config.endpoints, ...resolvedEndpoints, ...this._discoveredEndpoints.keys()])];
+    }
+
     // Can be called when there are no alive connections left
     async _reconnect() {
+        // The background task may wait for the next attempt, it is not needed anymore
+        if (this._stopBackoff) {
+            this._stopBackoff();
+        }
         await this._waitBackgroundConnect();
-        await this._connect();
+        await this._connect(this._config.reconnectPolicy);
+        this._communicator.metrics.onReconnect();
+    }
+
+    async _waitReconnect() {
+        if (this._reconnectTask) {
+            await this._reconnectTask;
+        }
+    }
+
+    // Waits before the next connection attempt. Returns false if the wait is interrupted
+    _waitBackoff(milliseconds: number): Promise<boolean> {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this._stopBackoff = null;
+                resolve(true);
+            }, milliseconds);
+            this._stopBackoff = () => {
+                clearTimeout(timer);
+                this._stopBackoff = null;
+                resolve(false);
+            };
+        });
     }
 
     _runBackgroundConnect() {
@@ -175,14 +403,42 @@ export default class Router {
     }
 
     async _backgroundConnect(): Promise<void> {
+        const reconnectPolicy = this._config.reconnectPolicy;
+
+        for (let attempt = 0; ; attempt++) {
+            await this._discoverEndpoints();
+
+            if (!await this._connectInactiveEndpoints()) {
+                return;
+            }
+
+            if (this._getEndpointsToConnect().length === 0 || !reconnectPolicy || !reconnectPolicy._hasAttempt(attempt + 1)) {
+                return;
+            }
+
+            const delay = reconnectPolicy._getDelay(attempt);
+            this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Next background connection attempt in %d ms', delay);
+            if (!await this._waitBackoff(delay) || this._state !== IgniteClient.STATE.CONNECTED) {
+                return;
+            }
+        }
+    }
+
+    // Tries to connect to every inactive endpoint once. Returns false if the client is not connected anymore
+    async _connectInactiveEndpoints(): Promise<boolean> {
         // Local copy of _inactiveEndpoints to make sure the array is not being changed during the 'for' cycle
-        const endpoints = [...this._inactiveEndpoints];
+        const endpoints = this._getEndpointsToConnect();
         const config = this._config;
         const communicator = this._communicator;
         const onSocketDisconnect = this._onSocketDisconnect.bind(this);
         const onAffinityTopologyChange = this._onAffinityTopologyChange.bind(this);
 
         for (const endpoint of endpoints) {
+            // The node could be connected via another of its endpoints in the meantime
+            if (this._isDiscoveredNodeConnected(endpoint)) {
+                continue;
+            }
+
             const socket = new ClientSocket(
                 endpoint, config, communicator,
                 onSocketDisconnect,
@@ -190,38 +446,242 @@ export default class Router {
 
             try {
                 await socket.connect();
-                Logger.logDebug(Util.format('Connected (in background) to %s', endpoint));
+                this._logger.logInfo(LOG_CATEGORY.CONNECTION, 'Connected (in background) to %s', endpoint);
 
                 // While we were waiting for socket to connect, someone could call disconnect()
                 if (this._state !== IgniteClient.STATE.CONNECTED) {
                     // If became not connected, stop this task
                     socket.disconnect();
-                    return;
+                    return false;
+                }
+
+                // An address of the node may lead to another node, eg. a loopback one
+                if (this._discoveredEndpoints.has(endpoint) &&
+                    this._discoveredEndpoints.get(endpoint) !== "" + socket.nodeUUID) {
+                    this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Endpoint %s leads to another node', endpoint);
+                    socket.disconnect();
+                    continue;
                 }
 
                 this._addConnection(socket);
             }
             catch (err) {
-                Logger.logDebug(Util.format('Could not connect (in background) to %s. Error: "%s"', endpoint, err.message));
+                this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Could not connect (in background) to %s. Error: "%s"', endpoint, err.message);
 
                 // While we were waiting for socket to connect, someone could call disconnect()
                 if (this._state !== IgniteClient.STATE.CONNECTED) {
                     // If became not connected, stop this task
                     socket.disconnect();
-                    return;
+                    return false;
                 }
             }
         }
+        return true;
+    }
+
+    // Returns the inactive endpoints except the endpoints of the discovered nodes which are already connected
+    _getEndpointsToConnect(): string[] {
+        return this._inactiveEndpoints.filter(endpoint => !this._isDiscoveredNodeConnected(endpoint));
+    }
+
+    _isDiscoveredNodeConnected(endpoint: string): boolean {
+        return this._discoveredEndpoints.has(endpoint) && this._discoveredEndpoints.get(endpoint) in this._connections;
+    }
+
+    // Requests the endpoints of the server nodes from the cluster and adds the unknown ones to _inactiveEndpoints.
+    // The endpoints are requested again only if the topology version has changed
+    async _discoverEndpoints() {
+        if (!this._config.clusterDiscovery || this._discoveredTopologyVer === this._affinityTopologyVer) {
+            return;
+        }
+
+        const socket = this._getAllConnections().find(
+            (connection) => connection.isFeatureSupported(PROTOCOL_FEATURE.CLUSTER_NODE_ENDPOINTS));
+        if (!socket) {
+            return;
+        }
+
+        const topologyVer = this._affinityTopologyVer;
+        const discoveredEndpoints = new Map<string, string>();
+        try {
+            await socket.sendRequest(
+                BinaryUtils.OPERATION.CLUSTER_GROUP_GET_NODE_ENDPOINTS,
+                async (payload) => {
+                    // Unknown start and end topology versions, the server returns the endpoints of all server nodes
+                    payload.writeLong(Long.NEG_ONE);
+                    payload.writeLong(Long.NEG_ONE);
+                },
+                async (payload) => {
+                    // Topology version
+                    payload.readLong();
+                    const count = payload.readInteger();
+                    for (let i = 0; i < count; i++) {
+                        const nodeId = "" + this._communicator._readUUID(payload);
+                        const port = payload.readInteger();
+                        const addressCount = payload.readInteger();
+                        const addresses = [];
+                        for (let j = 0; j < addressCount; j++) {
+                            addresses.push(BinaryCommunicator.readString(payload));
+                        }
+                        // Loopback addresses are tried last, they are usable only if the client runs on the same host
+                        addresses.sort((a, b) => Number(Router._isLoopback(a)) - Number(Router._isLoopback(b)));
+                        for (const address of addresses) {
+                            const endpoint = address.indexOf(':') >= 0 ?
+                                Util.format('[%s]:%d', address, port) :
+                                Util.format('%s:%d', address, port);
+                            discoveredEndpoints.set(endpoint, nodeId);
+                        }
+                    }
+                    // The removed nodes are not returned, because the start topology version is unknown
+                });
+        }
+        catch (err) {
+            this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Could not discover endpoints of the cluster nodes: %s', err.message);
+            return;
+        }
+
+        // The client could be disconnected while we were waiting for the response
+        if (this._state !== IgniteClient.STATE.CONNECTED) {
+            return;
+        }
+
+        this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Discovered endpoints: %s', [...discoveredEndpoints.keys()].join(', '));
+
+        // The endpoints of the nodes which have left the cluster are forgotten, unless they are configured
+        this._inactiveEndpoints = this._inactiveEndpoints.filter((endpoint) =>
+            !this._discoveredEndpoints.has(endpoint) || discoveredEndpoints.has(endpoint) ||
+            this._config.endpoints.includes(endpoint));
+
+        const activeEndpoints = this._getAllConnections().map((connection) => connection.endpoint);
+        for (const endpoint of discoveredEndpoints.keys()) {
+            if (!this._inactiveEndpoints.includes(endpoint) && !activeEndpoints.includes(endpoint)) {
+                this._inactiveEndpoints.push(endpoint);
+            }
+        }
+
+        this._discoveredEndpoints = discoveredEndpoints;
+        this._discoveredTopologyVer = topologyVer;
+    }
+
+    static _isLoopback(address: string): boolean {
+        return address.startsWith('127.') || address === '::1' || address.startsWith('0:0:0:0:0:0:0:1');
     }
 
     _cleanUp() {
         this._legacyConnection = null;
         this._inactiveEndpoints = [];
+        this._discoveredEndpoints = new Map<string, string>();
+        this._discoveredTopologyVer = undefined;
 
         this._partitionAwarenessActive = false;
         this._connections = {};
         this._distributionMap = new Map();
         this._affinityTopologyVer = null;
+        this._pools = new Map<ClientSocket, ClientSocket[]>();
+    }
+
+    // Returns the connections to all nodes including the additional connections
+    _getAllSockets(): ClientSocket[] {
+        const allSockets = this._getAllConnections();
+        for (const pool of this._pools.values()) {
+            allSockets.push(...pool);
+        }
+        return allSockets;
+    }
+
+    // Returns the least loaded connection to the node of the specified connection
+    _balance(connection: ClientSocket): ClientSocket {
+        let result = connection;
+        const pool = this._pools.get(connection);
+        if (pool) {
+            for (const socket of pool) {
+                if (socket.inFlightRequests < result.inFlightRequests) {
+                    result = socket;
+                }
+            }
+        }
+        return result;
+    }
+
+    // Opens additional connections to the node of the specified connection, up to the configured number
+    async _fillPool(connection: ClientSocket) {
+        if (this._fillingPools.has(connection)) {
+            return;
+        }
+        this._fillingPools.add(connection);
+
+        try {
+            while (this._state === IgniteClient.STATE.CONNECTED && this._pools.has(connection) &&
+                   this._pools.get(connection).length < this._config.connectionsPerNode - 1) {
+                const socket = new ClientSocket(
+                    connection.endpoint, this._config, this._communicator,
+                    this._onSocketDisconnect.bind(this),
+                    this._onAffinityTopologyChange.bind(this));
+
+                try {
+                    await socket.connect();
+                }
+                catch (err) {
+                    this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Could not open additional connection to %s. Error: "%s"',
+                        connection.endpoint, err.message);
+                    return;
+                }
+
+                // While we were waiting for socket to connect, the node could be disconnected.
+                // The endpoint also may lead to another node, e.g. via a load balancer
+                if (this._state !== IgniteClient.STATE.CONNECTED || !this._pools.has(connection) ||
+                    "" + socket.nodeUUID !== "" + connection.nodeUUID) {
+                    socket.disconnect();
+                    return;
+                }
+
+                this._pools.get(connection).push(socket);
+                this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Opened additional connection to %s', connection.endpoint);
+            }
+        }
+        finally {
+            this._fillingPools.delete(connection);
+        }
+    }
+
+    // Removes the lost connection from the pool of the node and opens a new one instead of it.
+    // Returns false if there are no other connections to the node
+    _replacePooledConnection(socket: ClientSocket): boolean {
+        for (const [connection, pool] of this._pools) {
+            const index = pool.indexOf(socket);
+            if (index >= 0) {
+                pool.splice(index, 1);
+                this._fillPool(connection);
+                return true;
+            }
+        }
+
+        const pool = this._pools.get(socket);
+        if (!pool || pool.length === 0) {
+            return false;
+        }
+
+        // One of the additional connections becomes the main connection to the node
+        const connection = pool.shift();
+        this._pools.delete(socket);
+        this._pools.set(connection, pool);
+        if (this._connections[socket.nodeUUID] === socket) {
+            this._connections[socket.nodeUUID] = connection;
+        }
+        else if (this._legacyConnection === socket) {
+            this._legacyConnection = connection;
+        }
+        this._fillPool(connection);
+        return true;
+    }
+
+    // Disconnects the connection to the node together with the additional connections
+    _disconnectNode(connection: ClientSocket) {
+        const pool = this._pools.get(connection) || [];
+        this._pools.delete(connection);
+        for (const socket of [connection, ...pool]) {
+            socket.disconnect();
+        }
     }
 
     _getAllConnections() {
@@ -241,7 +701,7 @@ export default class Router {
             if (nodeUUID in this._connections) {
                 // This can happen if the same node has several IPs
                 // We will keep more fresh connection alive
-                this._connections[nodeUUID].disconnect();
+                this._disconnectNode(this._connections[nodeUUID]);
             }
             this._connections[nodeUUID] = socket;
         }
@@ -249,10 +709,12 @@ export default class Router {
             if (this._legacyConnection) {
                 // We already have a legacy connection
                 // We will keep more fresh connection alive
-                this._legacyConnection.disconnect();
+                this._disconnectNode(this._legacyConnection);
             }
             this._legacyConnection = socket;
         }
+        this._pools.set(socket, []);
+        this._fillPool(socket);
         // Remove the endpoint from _inactiveEndpoints
         const index = this._inactiveEndpoints.indexOf(socket.endpoint);
         if (index > -1) {
@@ -266,7 +728,9 @@ export default class Router {
     }
 
     _removeConnection(socket) {
-        if (socket.nodeUUID in this._connections) {
+        this._pools.delete(socket);
+
+        if (this._connections[socket.nodeUUID] === socket) {
             delete this._connections[socket.nodeUUID];
             // Add the endpoint to _inactiveEndpoints
             this._inactiveEndpoints.push(socket.endpoint);
@@ -284,6 +748,14 @@ export default class Router {
     }
 
     async _onSocketDisconnect(socket, error = null) {
+        // The server releases the cursors together with the connection
+        this._communicator.releaseConnectionCursors(socket);
+
+        // The node remains connected if there are other connections to it
+        if (this._replacePooledConnection(socket)) {
+            return;
+        }
+
         this._removeConnection(socket);
 
         if (this._getAllConnections().length != 0) {
@@ -292,54 +764,76 @@ export default class Router {
             return;
         }
 
-        try {
-            await this._reconnect();
-        }
-        catch (err) {
-            this._cleanUp();
-        }
+        // Requests which are retried after the connection loss wait for this task
+        this._reconnectTask = this._reconnect().
+            catch(() => this._cleanUp()).
+            then(() => {
+                this._reconnectTask = null;
+            });
+        await this._reconnectTask;
     }
 
     /** Partition Awareness methods */
 
-    async _affinitySend(opCode, payloadWriter, payloadReader, affinityHint: AffinityHint) {
+    async _affinitySend(opCode, payloadWriter, payloadReader, affinityHint: AffinityHint,
+                        options: RequestContext = null): Promise<ClientSocket> {
         let connection = await this._chooseConnection(affinityHint);
 
         while (true) {
-            Logger.logDebug('Endpoint chosen: ' + connection.endpoint);
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Endpoint chosen: ' + connection.endpoint);
 
+            const socket = this._balance(connection);
             try {
-                await connection.sendRequest(opCode, payloadWriter, payloadReader);
-                return;
+                await socket.sendRequest(opCode, payloadWriter, payloadReader, options);
+                return socket;
             }
             catch (err) {
                 if (!(err instanceof LostConnectionError)) {
                     throw err;
                 }
 
-                Logger.logDebug(connection.endpoint + ' is unavailable');
+                this._logger.logWarn(LOG_CATEGORY.CONNECTION, '%s is unavailable', connection.endpoint);
 
-                this._removeConnection(connection);
+                // If an additional connection is lost, the node may be still available via other connections
+                if (socket === connection) {
+                    this._removeConnection(connection);
+                }
 
                 if (this._getAllConnections().length == 0) {
                     throw new LostConnectionError('Cluster is unavailable');
                 }
             }
 
-            connection = this._getRandomConnection();
-            Logger.logDebug('Node has been chosen randomly');
+            connection = this._chooseRandomConnection();
         }
     }
 
     async _chooseConnection(affinityHint: AffinityHint) {
+        const connection = await this._getPrimaryConnection(affinityHint);
+        this._communicator.metrics.onAffinityChoice(connection !== null);
+        if (connection) {
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Node has been chosen by affinity');
+            return connection;
+        }
+
+        return this._chooseRandomConnection();
+    }
+
+    // The random choice is logged here only, both for the first attempt and for the retries
+    _chooseRandomConnection(): ClientSocket {
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Node has been chosen randomly');
+        return this._getRandomConnection();
+    }
+
+    // Returns the connection to the primary node of the key, or null if the node is not known or not connected
+    async _getPrimaryConnection(affinityHint: AffinityHint): Promise<ClientSocket> {
         const cacheId = affinityHint.cacheId;
 
         if (!this._distributionMap.has(cacheId)) {
-            Logger.logDebug('Distribution map does not have info for the cache ' + cacheId);
-            Logger.logDebug('Node has been chosen randomly');
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Distribution map does not have info for the cache ' + cacheId);
             // We are not awaiting here in order to not increase latency of requests
             this._getCachePartitions(cacheId);
-            return this._getRandomConnection();
+            return null;
         }
 
         const cacheAffinityMap = this._distributionMap.get(cacheId);
@@ -350,13 +844,7 @@ export default class Router {
                                                    affinityHint.key,
                                                    affinityHint.keyType);
 
-        if (nodeId in this._connections) {
-            Logger.logDebug('Node has been chosen by affinity');
-            return this._connections[nodeId];
-        }
-
-        Logger.logDebug('Node has been chosen randomly');
-        return this._getRandomConnection();
+        return nodeId in this._connections ? this._connections[nodeId] : null;
     }
 
     async _determineNodeId(cacheAffinityMap: CacheAffinityMap, key: object, keyType: PRIMITIVE_TYPE | CompositeType): Promise<number[] | null> {
@@ -386,10 +874,10 @@ export default class Router {
 
         const keyHash = await BinaryUtils.hashCode(affinityKey, this._communicator, affinityKeyTypeCode);
         const partition = RendezvousAffinityFunction.calcPartition(keyHash, partitionMap.size);
-        Logger.logDebug('Partition = ' + partition);
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Partition = ' + partition);
 
         const nodeId: number[] = partitionMap.get(partition);
-        Logger.logDebug('Node ID = ' + nodeId);
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Node ID = ' + nodeId);
 
         return nodeId;
     }
@@ -398,11 +886,13 @@ export default class Router {
         let typeCode = BinaryUtils.getTypeCode(keyType ? keyType : BinaryUtils.calcObjectType(key));
 
         if (typeCode == BinaryUtils.TYPE_CODE.BINARY_OBJECT) {
+            // The type id is calculated by the mappers of this client, as when the key is written
+            key._useMapping(this._communicator.mapping);
             return {'key': key, 'typeCode': typeCode, 'typeId': key._getTypeId()};
         }
 
         if (typeCode == BinaryUtils.TYPE_CODE.COMPLEX_OBJECT) {
-            const binObj = await BinaryObject.fromObject(key, keyType);
+            const binObj = await BinaryObject._fromObject(key, keyType, this._communicator.mapping);
             typeCode = BinaryUtils.TYPE_CODE.BINARY_OBJECT;
 
             return {'key': binObj, 'typeCode': typeCode, 'typeId': binObj._getTypeId()};
@@ -416,7 +906,7 @@ export default class Router {
             return;
         }
 
-        Logger.logDebug('New topology version reported: ' + newVersion);
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'New topology version reported: ' + newVersion);
 
         this._affinityTopologyVer = newVersion;
         this._distributionMap = new Map();
@@ -425,7 +915,7 @@ export default class Router {
     }
 
     async _getCachePartitions(cacheId) {
-        Logger.logDebug('Getting cache partitions info...');
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Getting cache partitions info...');
 
         try {
             await this.send(
@@ -438,25 +928,25 @@ export default class Router {
                 this._handleCachePartitions.bind(this));
         }
         catch (err) {
-            Logger.logDebug('Could not get partitions info: ' + err.message);
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Could not get partitions info: ' + err.message);
         }
     }
 
     async _handleCachePartitions(payload) {
         const affinityTopologyVer = new AffinityTopologyVersion(payload);
-        Logger.logDebug('Partitions info for topology version ' + affinityTopologyVer);
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Partitions info for topology version ' + affinityTopologyVer);
 
         if (this._versionIsNewer(affinityTopologyVer)) {
             this._distributionMap = new Map();
             this._affinityTopologyVer = affinityTopologyVer;
-            Logger.logDebug('New affinity topology version: ' + affinityTopologyVer);
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'New affinity topology version: ' + affinityTopologyVer);
         } else if (this._versionIsOlder(affinityTopologyVer)) {
-            Logger.logDebug('Topology version is outdated. Actual version: ' + this._affinityTopologyVer);
+            this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Topology version is outdated. Actual version: ' + this._affinityTopologyVer);
             return;
         }
 
         const groupsNum = payload.readInteger();
-        Logger.logDebug('Partitions info for ' + groupsNum + ' cache groups received');
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Partitions info for ' + groupsNum + ' cache groups received');
 
         for (let i = 0; i < groupsNum; i++) {
             const group = await PartitionAwarenessCacheGroup.build(this._communicator, payload);
@@ -472,11 +962,11 @@ export default class Router {
             for (const [cacheId, config] of group.caches) {
                 const cacheAffinityMap = new CacheAffinityMap(cacheId, partitionMapping, config);
                 this._distributionMap.set(cacheId, cacheAffinityMap);
-                Logger.logDebug('Partitions info for cache: ' + cacheId);
+                this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Partitions info for cache: ' + cacheId);
             }
         }
 
-        Logger.logDebug('Got cache partitions info');
+        this._logger.logDebug(LOG_CATEGORY.PARTITION_AWARENESS, 'Got cache partitions info');
     }
 
     _getRandomConnection() {
@@ -485,8 +975,8 @@ export default class Router {
     }
 
     _changeState(state, reason = null) {
-        if (Logger.debug) {
-            Logger.logDebug(Util.format('Router state: %s -> %s'),
+        if (this._logger.isEnabled(LOG_CATEGORY.CONNECTION, LOG_LEVEL.DEBUG)) {
+            this._logger.logDebug(LOG_CATEGORY.CONNECTION, 'Router state: %s -> %s',
                 this._getState(this._state),
                 this._getState(state));
         }